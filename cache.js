@@ -0,0 +1,134 @@
+/**
+ * In-memory LRU store with per-entry TTL, default store of `QueryCache`
+ */
+export class MemoryCacheStore {
+    /*** @type {Map<string, {value: any, expires: number}>}*/
+    #entries = new Map();
+    #max;
+
+    /**
+     * @param opts {{max?: number}} max amount of entries, least recently used are evicted first
+     */
+    constructor({max = 1000} = {}) {
+        this.#max = max;
+    }
+
+    /**
+     * @param key {string}
+     * @return {any} `undefined` when missing or expired
+     */
+    get(key) {
+        const entry = this.#entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        this.#entries.delete(key);
+        if (entry.expires && entry.expires <= Date.now()) {
+            return undefined;
+        }
+
+        // Move to the end, so it's evicted last
+        this.#entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * @param key {string}
+     * @param value {any}
+     * @param ttl {number|undefined} ms, entry never expires without it
+     */
+    set(key, value, ttl) {
+        this.#entries.delete(key);
+        this.#entries.set(key, {value, expires: ttl ? Date.now() + ttl : 0});
+
+        while (this.#entries.size > this.#max) {
+            this.#entries.delete(this.#entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @param key {string}
+     */
+    delete(key) {
+        this.#entries.delete(key);
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+
+    get size() {
+        return this.#entries.size;
+    }
+}
+
+/**
+ * Caches query results per table.
+ * Keys contain a generation token of the table, write replaces the token so previous entries of the table
+ * are not reachable anymore and expire by TTL or LRU. Store may be shared between isolates (e.g. KV-backed)
+ */
+export class QueryCache {
+    /*** @type {CacheStore}*/
+    #store;
+    #ttl;
+
+    /**
+     * @param opts {QueryCacheOptions}
+     */
+    constructor({store, ttl = 60000, max} = {}) {
+        this.#store = store || new MemoryCacheStore({max});
+        this.#ttl = ttl;
+    }
+
+    /**
+     * Return cached result of the query, or load and cache it
+     * @param table {string}
+     * @param sql {string}
+     * @param params {any[]}
+     * @param ttl {number|undefined} ms, overrides default TTL
+     * @param load {() => Promise<T>}
+     * @return {Promise<{value: T, hit: boolean}>}
+     */
+    async wrap(table, sql, params, ttl, load) {
+        const key = [table, await this.#generation(table), sql, JSON.stringify(params)].join('\u0000');
+
+        const cached = await this.#store.get(key);
+        // Stores like Workers KV return null on a miss
+        if (cached != null) {
+            // Copy, so callers can't change cached value
+            return {value: structuredClone(cached), hit: true};
+        }
+
+        const value = await load();
+        await this.#store.set(key, structuredClone(value), ttl ?? this.#ttl);
+        return {value, hit: false};
+    }
+
+    /**
+     * Drop all cached results of the table
+     * @param table {string}
+     * @return {Promise<void>}
+     */
+    async invalidate(table) {
+        await this.#store.set(generationKey(table), newGeneration());
+    }
+
+    async #generation(table) {
+        let generation = await this.#store.get(generationKey(table));
+        if (generation == null) {
+            // Lost (evicted) generation can't bring old entries back, as new one is random
+            generation = newGeneration();
+            await this.#store.set(generationKey(table), generation);
+        }
+        return generation;
+    }
+}
+
+function generationKey(table) {
+    return `${table}\u0000generation`;
+}
+
+function newGeneration() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
@@ -0,0 +1,160 @@
+/**
+ * Base class of errors raised by adapter for failed D1 requests
+ */
+export class D1Error extends Error {
+    /**
+     * @param message {string}
+     * @param details {D1ErrorDetails}
+     */
+    constructor(message, details = {}) {
+        super(message, {cause: details.cause});
+        this.name = this.constructor.name;
+        /*** @type {string|SqlStatement[]|undefined}*/
+        this.sql = details.sql;
+        this.bindings = details.bindings || [];
+        /*** @type {ResponseInfo[]}*/
+        this.errors = details.errors || [];
+        /*** @type {ResponseInfo[]}*/
+        this.messages = details.messages || [];
+        /**
+         * HTTP status, REST API only
+         * @type {number|undefined}
+         */
+        this.status = details.status;
+        if (details.statementIndex !== undefined) {
+            this.statementIndex = details.statementIndex;
+        }
+    }
+}
+
+/**
+ * UNIQUE, NOT NULL, CHECK, FOREIGN KEY or PRIMARY KEY constraint violation
+ */
+export class ConstraintError extends D1Error {
+    constructor(message, details = {}) {
+        super(message, details);
+        /*** @type {'UNIQUE'|'NOT NULL'|'CHECK'|'FOREIGN KEY'|'PRIMARY KEY'}*/
+        this.constraint = details.constraint;
+        this.table = details.table;
+        this.column = details.column;
+    }
+}
+
+/**
+ * Query refers to a table which does not exist
+ */
+export class NotFoundTableError extends D1Error {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.table = details.table;
+    }
+}
+
+/**
+ * Invalid or missing API token, or token without D1 privileges
+ */
+export class AuthError extends D1Error {
+}
+
+/**
+ * Too many requests to Cloudflare API or D1
+ */
+export class RateLimitError extends D1Error {
+    constructor(message, details = {}) {
+        super(message, details);
+        /**
+         * ms to wait, from `Retry-After` header
+         * @type {number|undefined}
+         */
+        this.retryAfter = details.retryAfter;
+    }
+}
+
+/**
+ * Malformed SQL or reference to unknown column
+ */
+export class SqlSyntaxError extends D1Error {
+}
+
+/**
+ * Record was changed by someone else since it was read, see mapper `versionAttribute`
+ */
+export class StaleRecordError extends D1Error {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.table = details.table;
+        /**
+         * Stale records: ID, version the caller had and version stored now
+         * @type {{id: any, expected: number, actual: number}[]}
+         */
+        this.records = details.records || [];
+    }
+}
+
+/**
+ * Raised by guard statement following versioned UPDATE when the record exists but was not updated.
+ * SQLite can't raise custom errors outside triggers, bad JSON path error carries the marker instead
+ */
+export const STALE_GUARD = 'stale_record';
+
+// Cloudflare API error codes
+const AUTH_CODES = [9106, 9109, 10000, 7403];
+const RATE_LIMIT_CODES = [971, 10429];
+
+/**
+ * Pick error class by HTTP status, Cloudflare error codes and SQLite message
+ * @param details {D1ErrorDetails & {message?: string}}
+ * @return {D1Error}
+ */
+export function createD1Error(details) {
+    const message = details.message || details.errors?.[0]?.message || 'Unknown error';
+    const codes = (details.errors || []).map(x => x.code);
+
+    if (details.status === 401 || details.status === 403 || codes.some(x => AUTH_CODES.includes(x))) {
+        return new AuthError(message, details);
+    }
+
+    if (details.status === 429 || codes.some(x => RATE_LIMIT_CODES.includes(x)) || /too many requests|rate limit/i.test(message)) {
+        return new RateLimitError(message, details);
+    }
+
+    // UNIQUE constraint failed: user.email
+    const constraint = /(UNIQUE|NOT NULL|CHECK|FOREIGN KEY|PRIMARY KEY) constraint failed(?::\s*([\w.]+))?/i.exec(message);
+    if (constraint) {
+        const [table, column] = constraint[2]?.includes('.') ? constraint[2].split('.') : [undefined, constraint[2]];
+        return new ConstraintError(message, {...details, constraint: constraint[1].toUpperCase(), table, column});
+    }
+
+    const table = /no such table:\s*([\w.]+)/i.exec(message);
+    if (table) {
+        return new NotFoundTableError(message, {...details, table: table[1]});
+    }
+
+    if (message.includes(STALE_GUARD)) {
+        return new StaleRecordError(message, details);
+    }
+
+    if (/syntax error|incomplete input|unrecognized token|unterminated string|no such column|has no column named/i.test(message)) {
+        return new SqlSyntaxError(message, details);
+    }
+
+    return new D1Error(message, details);
+}
+
+/**
+ * Wrap error thrown by executor into typed error.
+ * Typed errors are returned as is, with failed query filled in when missing (e.g. raised by `HTTP()`)
+ * @param error {Error & {statementIndex?: number}}
+ * @param details {D1ErrorDetails} query which failed
+ * @return {D1Error}
+ */
+export function toD1Error(error, details) {
+    if (error instanceof D1Error) {
+        if (error.sql === undefined) {
+            error.sql = details.sql;
+            error.bindings = details.bindings || [];
+        }
+        return error;
+    }
+    return createD1Error({...details, message: error.message, statementIndex: error.statementIndex, cause: error});
+}
@@ -0,0 +1,246 @@
+import {isReadOnly, returnsRows} from "./util.js";
+import {createD1Error} from "./errors.js";
+
+/**
+ * Executes SQL through Cloudflare D1 REST API
+ */
+export class HttpExecutor {
+    /*** @type {RequestInit}*/
+    #params;
+    #url;
+    #http;
+
+    /**
+     * @param params {CloudflareAdapterParams}
+     * @param http {(url: string, params: RequestInit, opts: {idempotent: boolean}) => Promise<CloudflareResponse<any>>} performs HTTP request
+     */
+    constructor(params, http) {
+        this.#params = {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': 'Bearer ' + params.token,
+            },
+            method: 'POST',
+        };
+        this.#url = `https://api.cloudflare.com/client/v4/accounts/${params.accountId}/d1/database/${params.databaseId}`;
+        this.#http = http;
+    }
+
+    /**
+     * @param sql {string}
+     * @param params {any[]}
+     * @param session {D1Session|undefined} not supported, REST API has no bookmarks
+     * @return {Promise<QueryResult<any>>}
+     */
+    async execute(sql, params, session) {
+        assertNoSession(session);
+        const resp = await this.#http(this.#url + '/query', {
+            ...this.#params,
+            body: JSON.stringify({
+                sql,
+                params
+            }),
+        }, {idempotent: isReadOnly(sql)});
+
+        if (!resp.success) {
+            throw createD1Error({sql, bindings: params, errors: resp.errors, messages: resp.messages});
+        }
+
+        return resp.result[0];
+    }
+
+    /**
+     * Sends several statements in a single request
+     * @param statements {SqlStatement[]}
+     * @param session {D1Session|undefined} not supported, REST API has no bookmarks
+     * @return {Promise<QueryResult<any>[]>}
+     */
+    async batch(statements, session) {
+        assertNoSession(session);
+        const resp = await this.#http(this.#url + '/query', {
+            ...this.#params,
+            body: JSON.stringify({
+                batch: statements.map(({sql, params}) => ({sql, params})),
+            }),
+        }, {idempotent: statements.every(x => isReadOnly(x.sql))});
+
+        if (!resp.success) {
+            throw createD1Error({sql: statements, errors: resp.errors, messages: resp.messages});
+        }
+
+        return resp.result;
+    }
+}
+
+/**
+ * Sessions are not silently dropped: reads without bookmark may not observe earlier writes
+ * @param session {D1Session|undefined}
+ */
+function assertNoSession(session) {
+    if (session) {
+        throw new Error('D1 sessions require the Workers binding, REST API does not support them');
+    }
+}
+
+/**
+ * Executes SQL through D1 Workers binding (`env.DB`)
+ */
+export class BindingExecutor {
+    /*** @type {D1Binding}*/
+    #binding;
+
+    /**
+     * @param binding {D1Binding}
+     */
+    constructor(binding) {
+        this.#binding = binding;
+    }
+
+    /**
+     * @param sql {string}
+     * @param params {any[]}
+     * @param session {D1Session|undefined} read replication session
+     * @return {Promise<QueryResult<any>>}
+     */
+    async execute(sql, params, session) {
+        const database = this.#database(session);
+        const statement = database.prepare(sql).bind(...params);
+        const resp = returnsRows(sql) ? await statement.all() : await statement.run();
+        session?.record(database.getBookmark());
+        return toQueryResult(resp);
+    }
+
+    /**
+     * Runs statements with `binding.batch()`, D1 executes them as a single transaction
+     * @param statements {SqlStatement[]}
+     * @param session {D1Session|undefined} read replication session
+     * @return {Promise<QueryResult<any>[]>}
+     */
+    async batch(statements, session) {
+        const database = this.#database(session);
+        const prepared = statements.map(({sql, params}) => database.prepare(sql).bind(...params));
+        const resp = await database.batch(prepared);
+        session?.record(database.getBookmark());
+        return resp.map(toQueryResult);
+    }
+
+    /**
+     * Binding itself, or D1 session continuing from the latest bookmark of `session`
+     * @param session {D1Session|undefined}
+     * @return {D1Binding|D1DatabaseSession}
+     */
+    #database(session) {
+        if (!session) {
+            return this.#binding;
+        }
+        if (!this.#binding.withSession) {
+            throw new Error('D1 binding does not support sessions, check compatibility date of the Worker');
+        }
+        return this.#binding.withSession(session.start);
+    }
+}
+
+/**
+ * @param resp {QueryResult<any>} D1 binding result
+ * @return {QueryResult<any>}
+ */
+function toQueryResult(resp) {
+    return {
+        results: resp.results || [],
+        meta: resp.meta,
+        success: resp.success,
+    };
+}
+
+/**
+ * Executes SQL against local better-sqlite3 database.
+ * Useful for development and tests, returns D1-shaped results
+ */
+export class SqliteExecutor {
+    /*** @type {SqliteDatabase}*/
+    #db;
+
+    /**
+     * @param db {SqliteDatabase} opened better-sqlite3 database
+     */
+    constructor(db) {
+        this.#db = db;
+    }
+
+    /**
+     * @param sql {string}
+     * @param params {any[]}
+     * @return {Promise<QueryResult<any>>}
+     */
+    async execute(sql, params) {
+        return this.#run(sql, params);
+    }
+
+    /**
+     * Runs statements inside a single SQLite transaction
+     * @param statements {SqlStatement[]}
+     * @return {Promise<QueryResult<any>[]>}
+     */
+    async batch(statements) {
+        return this.#db.transaction(() => statements.map(({sql, params}, i) => {
+            try {
+                return this.#run(sql, params);
+            } catch (error) {
+                error.statementIndex = i;
+                throw error;
+            }
+        }))();
+    }
+
+    #run(sql, params) {
+        const startTime = performance.now();
+        const statement = this.#db.prepare(sql);
+        // D1 stores booleans as 0/1, better-sqlite3 refuses to bind them
+        const values = params.map(x => typeof x === 'boolean' ? Number(x) : x);
+
+        if (statement.reader && statement.readonly) {
+            const results = statement.all(...values);
+            return {
+                results,
+                meta: this.#meta(startTime, {rows_read: results.length}),
+                success: true,
+            };
+        }
+
+        if (statement.reader) {
+            // Write with RETURNING clause
+            const results = statement.all(...values);
+            const info = this.#db.prepare('select changes() as changes, last_insert_rowid() as last_row_id').get();
+            return {
+                results,
+                meta: this.#meta(startTime, {...info, rows_written: info.changes}),
+                success: true,
+            };
+        }
+
+        const info = statement.run(...values);
+        return {
+            results: [],
+            meta: this.#meta(startTime, {
+                changes: info.changes,
+                last_row_id: Number(info.lastInsertRowid),
+                rows_written: info.changes,
+            }),
+            success: true,
+        };
+    }
+
+    #meta(startTime, {changes = 0, last_row_id = 0, rows_read = 0, rows_written = 0}) {
+        const duration = performance.now() - startTime;
+        return {
+            changed_db: changes > 0,
+            changes,
+            duration,
+            last_row_id,
+            rows_read,
+            rows_written,
+            served_by_primary: true,
+            timings: {sql_duration_ms: duration},
+        };
+    }
+}
@@ -1,12 +1,62 @@
 import {Mapper, utils} from 'js-data';
-import {Adapter} from 'js-data-adapter';
-import {createTableSql, knex, toSql, underscore} from "./util.js";
+import {Adapter, Response} from 'js-data-adapter';
+import {
+    aggregateColumns,
+    chunkRows,
+    createTableSql,
+    decodeRecord,
+    encodeRecord,
+    expandWith,
+    indexDefinitions,
+    isReadOnly,
+    isStatement,
+    isTransientStatus,
+    keysetWhere,
+    knex,
+    mergeMeta,
+    migrationPlan,
+    parseRetryAfter,
+    RETRY_DEFAULTS,
+    retryDelay,
+    searchDefinitions,
+    selectColumns,
+    sleep,
+    softDeleteColumn,
+    stampRecord,
+    templateStatement,
+    timestampColumns,
+    toSql,
+    toStatement,
+    underscore,
+    whereContext
+} from "./util.js";
+import {BindingExecutor, HttpExecutor} from "./executors.js";
+import {Transaction} from "./transaction.js";
+import {createD1Error, NotFoundTableError, STALE_GUARD, StaleRecordError, toD1Error} from "./errors.js";
+import {QueryCache} from "./cache.js";
+import {D1Session} from "./session.js";
+
+export {BindingExecutor, HttpExecutor, SqliteExecutor} from "./executors.js";
+export {Transaction} from "./transaction.js";
+export {MemoryCacheStore, QueryCache} from "./cache.js";
+export {D1Session} from "./session.js";
+export {
+    AuthError,
+    ConstraintError,
+    D1Error,
+    NotFoundTableError,
+    RateLimitError,
+    SqlSyntaxError,
+    StaleRecordError
+} from "./errors.js";
 
 export class CloudflareAdapter extends Adapter {
-    /*** @type {RequestInit}*/
-    #params;
-    #url;
+    /*** @type {SqlExecutor}*/
+    #executor;
     #tableCache = new Set();
+    #migratedTables = new Set();
+    /*** @type {QueryCache|undefined}*/
+    #cache;
 
     /**
      * @param params {CloudflareAdapterParams}
@@ -14,49 +64,105 @@ export class CloudflareAdapter extends Adapter {
     constructor(params) {
         super(params);
 
-        this.#params = {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + params.token,
-            },
-            method: 'POST',
-        };
-        this.#url = `https://api.cloudflare.com/client/v4/accounts/${params.accountId}/d1/database/${params.databaseId}`;
+        if (params.executor) {
+            this.#executor = params.executor;
+        } else if (params.binding) {
+            // Running inside a Worker, talk to D1 directly through env.DB
+            this.#executor = new BindingExecutor(params.binding);
+        } else {
+            this.#executor = new HttpExecutor(params, (url, init, opts) => this.HTTP(url, init, opts));
+        }
+
+        if (params.cache) {
+            this.#cache = new QueryCache(params.cache === true ? {} : params.cache);
+        }
 
-        (async () => {
-            const resp = await this._executeSQL('select name from sqlite_master');
-            resp?.results?.map(x => x.name).forEach((x) => this.#tableCache.add(x));
-        })()
+        /**
+         * Resolves once existing tables are listed. Listing only saves `CREATE TABLE IF NOT EXISTS` statements,
+         * so its failure is logged and the adapter stays usable
+         * @type {Promise<void>}
+         */
+        this.ready = (async () => {
+            try {
+                const resp = await this._executeSQL('select name from sqlite_master');
+                resp?.results?.map(x => x.name).forEach((x) => this.#tableCache.add(x));
+            } catch (error) {
+                this.dbg('Listing tables failed', {error: error.message});
+            }
+        })();
     }
 
     /**
-     * Execute HTTP request to Cloudflare D1 API
+     * Execute HTTP request to Cloudflare D1 API.
+     * Network errors and transient statuses (408, 429, 5xx) are retried with exponential backoff,
+     * for idempotent requests only unless `retry.writes` is enabled.
+     * `Retry-After` longer than `retry.maxTimeout` is not waited for, the failure is returned at once
      * @typeParam {any} T
      * @param url {string}
      * @param params {RequestInit}
+     * @param opts {{idempotent?: boolean}} whether request is safe to repeat
      * @return {Promise<CloudflareResponse<T>>}
      */
-    async HTTP(url, params) {
-        this.dbg('HTTP Request', {url, method: params.method, hasBody: !!params.body});
-        const startTime = Date.now();
+    async HTTP(url, params, opts = {}) {
+        const retry = {...RETRY_DEFAULTS, ...this.retry};
+        const retryable = !!opts.idempotent || retry.writes;
+
+        for (let attempt = 1; ; attempt++) {
+            this.dbg('HTTP Request', {url, method: params.method, hasBody: !!params.body, attempt});
+            const startTime = Date.now();
+
+            let response;
+            let data;
+            let error;
+            try {
+                response = await fetch(url, params);
+                data = await response.json();
+            } catch (e) {
+                // Network failure, or body is not JSON (e.g. HTML error page)
+                error = response
+                    ? createD1Error({
+                        message: `Unexpected response from Cloudflare API, HTTP ${response.status}`,
+                        status: response.status,
+                        retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After')),
+                        cause: e,
+                    })
+                    : e;
+            }
 
-        try {
-            const response = await fetch(url, params);
             const duration = Date.now() - startTime;
-            const data = await response.json();
-
-            this.dbg('HTTP Response', {
-                url,
-                status: response.status,
-                duration: `${duration}ms`,
-                success: data.success
-            });
-
-            return data;
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            this.dbg('HTTP Error', {url, duration: `${duration}ms`, error: error.message});
-            throw error;
+            const transient = response ? isTransientStatus(response.status) : true;
+            const retryAfter = parseRetryAfter(response?.headers?.get?.('Retry-After'));
+
+            if (error) {
+                this.dbg('HTTP Error', {url, status: response?.status, duration: `${duration}ms`, error: error.message});
+            } else {
+                this.dbg('HTTP Response', {
+                    url,
+                    status: response.status,
+                    duration: `${duration}ms`,
+                    success: data.success
+                });
+            }
+
+            // Waiting longer than maxTimeout would hold the caller (e.g. Worker request) too long
+            if (!transient || !retryable || attempt > retry.retries || retryAfter > retry.maxTimeout) {
+                if (error) {
+                    throw error;
+                }
+                if (!data.success && [401, 403, 429].includes(response.status)) {
+                    throw createD1Error({
+                        status: response.status,
+                        errors: data.errors,
+                        messages: data.messages,
+                        retryAfter,
+                    });
+                }
+                return data;
+            }
+
+            const delay = retryDelay(attempt, retry, response?.headers?.get?.('Retry-After'));
+            this.dbg('HTTP Retry', {url, attempt, status: response?.status, delay: `${Math.round(delay)}ms`});
+            await sleep(delay);
         }
     }
 
@@ -64,32 +170,188 @@ export class CloudflareAdapter extends Adapter {
      * Execute SQL query against D1
      * @param sql {string}
      * @param params {any[]}
+     * @param opts {{session?: D1Session}} `session` routes query through D1 read replication session
      * @return {Promise<QueryResult<any>>}
      * @private
      */
-    async _executeSQL(sql, params = []) {
+    async _executeSQL(sql, params = [], opts) {
         this.dbg('Executing SQL', {sql, params});
 
-        const resp = await this.HTTP(this.#url + '/query', {
-            ...this.#params,
-            body: JSON.stringify({
-                sql,
-                params
-            }),
+        let result;
+        try {
+            result = await this.#executor.execute(sql, params, opts?.session);
+        } catch (error) {
+            this.dbg('SQL Error', {sql, error: error.message});
+            throw toD1Error(error, {sql, bindings: params});
+        }
+
+        this.dbg('SQL Success', {
+            rowsRead: result?.meta?.rows_read,
+            rowsWritten: result?.meta?.rows_written,
+            duration: result?.meta?.duration,
+            servedByPrimary: result?.meta?.served_by_primary,
+            servedByRegion: result?.meta?.served_by_region,
         });
 
-        if (!resp.success) {
-            this.dbg('SQL Error', {sql, errors: resp.errors});
-            throw new Error(resp.errors[0]?.message || 'Unknown error');
+        return result;
+    }
+
+    /**
+     * Execute read query through query cache (when adapter has `cache` enabled).
+     * Reads of a session always go to D1, cached result may be older than session bookmark
+     * @param mapper {Mapper} mapper whose table is read, its writes invalidate cached result
+     * @param sql {string}
+     * @param params {any[]}
+     * @param opts {{cache?: boolean, cacheTtl?: number, session?: D1Session}} `cache: false` skips cache, `cacheTtl` overrides default TTL
+     * @return {Promise<QueryResult<any>>}
+     * @private
+     */
+    async _executeCached(mapper, sql, params, opts) {
+        if (!this.#cache || opts?.cache === false || opts?.session) {
+            return this._executeSQL(sql, params, opts);
+        }
+
+        const table = this._getTable(mapper);
+        const {value, hit} = await this.#cache.wrap(table, sql, params, opts?.cacheTtl, () => this._executeSQL(sql, params, opts));
+        if (hit) {
+            this.dbg('Cache hit', {table, sql, params});
+        }
+        return value;
+    }
+
+    /**
+     * Drop cached query results of mapper's table.
+     * Adapter writes do it automatically, call it after changing the table some other way
+     * @param mapper {Mapper}
+     * @return {Promise<void>}
+     */
+    async invalidateCache(mapper) {
+        await this.#cache?.invalidate(this._getTable(mapper));
+    }
+
+    /**
+     * Execute several SQL statements in a single D1 batch
+     * @param statements {SqlStatement[]}
+     * @param opts {{session?: D1Session}}
+     * @return {Promise<QueryResult<any>[]>}
+     * @private
+     */
+    async _executeBatch(statements, opts) {
+        this.dbg('Executing SQL batch', {statements});
+
+        let results;
+        try {
+            if (this.#executor.batch) {
+                results = await this.#executor.batch(statements, opts?.session);
+            } else {
+                // Executor without batch support, run statements one by one
+                results = [];
+                for (const {sql, params} of statements) {
+                    results.push(await this.#executor.execute(sql, params, opts?.session));
+                }
+            }
+        } catch (error) {
+            this.dbg('SQL Error', {statements, error: error.message});
+            const failed = statements[error.statementIndex];
+            throw toD1Error(error, failed ? {sql: failed.sql, bindings: failed.params} : {sql: statements});
         }
 
         this.dbg('SQL Success', {
-            rowsRead: resp.result[0]?.meta?.rows_read,
-            rowsWritten: resp.result[0]?.meta?.rows_written,
-            duration: resp.result[0]?.meta?.duration
+            statements: results.length,
+            rowsRead: results.reduce((sum, x) => sum + (x?.meta?.rows_read || 0), 0),
+            rowsWritten: results.reduce((sum, x) => sum + (x?.meta?.rows_written || 0), 0),
         });
 
-        return resp.result[0];
+        return results;
+    }
+
+    /**
+     * Whether executor runs statements of a batch atomically (has `batch` method)
+     * @return {boolean}
+     * @private
+     */
+    _canBatch() {
+        return typeof this.#executor.batch === 'function';
+    }
+
+    /**
+     * Execute write statements together with table creation (if table was not created yet) in a single batch
+     * @param mapper {Mapper|Mapper[]} mapper(s) whose tables are written
+     * @param statements {SqlStatement[]}
+     * @param opts {{session?: D1Session}}
+     * @return {Promise<QueryResult<any>[]>} results of passed statements only
+     * @private
+     */
+    async _executeWrite(mapper, statements, opts) {
+        // Table cache is filled by constructor's listing
+        await this.ready;
+        const mappers = utils.isArray(mapper) ? mapper : [mapper];
+        const tables = new Map(mappers.map(x => [this._getTable(x), x]));
+
+        if (this.automigrateTables) {
+            for (const x of tables.values()) {
+                await this._ensureTable(x);
+            }
+        }
+
+        const tableStatements = [...tables.values()].flatMap(x => this._createTableStatements(x));
+        let results;
+        try {
+            results = await this._executeBatch([...tableStatements, ...statements], opts);
+        } catch (error) {
+            // Make failed statement index relative to passed statements
+            if (error.statementIndex !== undefined) {
+                error.statementIndex -= tableStatements.length;
+            }
+            throw error;
+        }
+
+        if (tableStatements.length) {
+            tables.forEach((_, table) => this.#tableCache.add(table));
+        }
+        for (const x of tables.values()) {
+            await this.invalidateCache(x);
+        }
+
+        return results.slice(tableStatements.length);
+    }
+
+    /**
+     * Run several writes atomically.
+     * Writes issued through `tx` are collected and committed as a single D1 batch once `fn` resolves,
+     * if any statement fails, none of them is applied
+     * @example
+     * const [order] = await adapter.transaction((tx) => {
+     *     tx.create(Order, {product_id: 1, amount: 2});
+     *     tx.updateAll(Product, {stock: 8}, {where: {id: {'==': 1}}});
+     * });
+     * @param fn {(tx: Transaction) => any}
+     * @param opts {{session?: D1Session}}
+     * @return {Promise<any[]>} result of every write in the order they were issued
+     */
+    async transaction(fn, opts) {
+        const tx = new Transaction(this, opts);
+        await fn(tx);
+
+        this.dbg('transaction commit');
+        return tx.commit();
+    }
+
+    /**
+     * Start D1 read replication session.
+     * Pass returned session as `opts.session` of adapter (or DataStore) calls: every query sends the latest bookmark,
+     * so it observes writes made earlier in the session even when served by a replica. Workers binding only
+     * @example
+     * const session = adapter.withSession(request.headers.get('x-d1-bookmark') ?? 'first-unconstrained');
+     * await store.create('order', {product_id: 1}, {session});
+     * const orders = await store.findAll('order', {}, {session});
+     * response.headers.set('x-d1-bookmark', session.bookmark);
+     * @param constraintOrBookmark {D1SessionConstraint|string} `first-primary` to start on primary,
+     * `first-unconstrained` to start on any replica, or bookmark returned by a previous session
+     * @return {D1Session}
+     */
+    withSession(constraintOrBookmark) {
+        return new D1Session(constraintOrBookmark);
     }
 
     /**
@@ -103,33 +365,108 @@ export class CloudflareAdapter extends Adapter {
     }
 
     /**
-     * Ensure table exists, create if it doesn't
+     * Statements needed to create table (and its indexes) for mapper. Empty if table already exists
      * @param mapper {Mapper}
-     * @return {Promise<void>}
+     * @return {SqlStatement[]}
      * @private
      */
-    async _ensureTable(mapper) {
+    _createTableStatements(mapper) {
         const tableName = this._getTable(mapper);
 
         // Check cache first
         if (this.#tableCache.has(tableName)) {
-            return;
+            return [];
         }
 
         if (!this.autocreateTables) {
             this.dbg('Table is not exists', {tableName});
-            throw new Error(`Table ${tableName} not found`);
+            throw new NotFoundTableError(`Table ${tableName} not found`, {table: tableName});
+        }
+
+        return [
+            {sql: createTableSql(mapper, tableName), params: []},
+            ...indexDefinitions(mapper, tableName).map(x => ({sql: x.sql, params: []})),
+            ...searchDefinitions(mapper, tableName),
+        ];
+    }
+
+    /**
+     * Ensure table exists, create if it doesn't
+     * @param mapper {Mapper}
+     * @return {Promise<void>}
+     * @private
+     */
+    async _ensureTable(mapper) {
+        // Table cache is filled by constructor's listing
+        await this.ready;
+        const tableName = this._getTable(mapper);
+
+        if (this.automigrateTables && !this.#migratedTables.has(tableName)) {
+            await this.migrate(mapper);
+            return;
+        }
+
+        const statements = this._createTableStatements(mapper);
+        if (!statements.length) {
+            return;
         }
 
         this.dbg('Trying to create table', {tableName});
-        const createSQL = createTableSql(mapper, tableName);
-        await this._executeSQL(createSQL);
-        this.dbg('Table created successfully', {tableName, sql: createSQL});
+        await this._executeBatch(statements);
+        this.dbg('Table created successfully', {tableName, statements});
 
         // Cache the table existence
         this.#tableCache.add(tableName);
     }
 
+    /**
+     * Bring table in line with mapper schema.
+     * Creates missing table and indexes, adds missing columns with `ALTER TABLE ... ADD COLUMN`.
+     * Dropped or retyped columns (and columns SQLite can't add) are only reported in the plan
+     * @param mapper {Mapper}
+     * @param opts {{dryRun?: boolean}} with `dryRun` the plan is returned without applying
+     * @return {Promise<MigrationPlan>}
+     */
+    async migrate(mapper, opts = {}) {
+        const tableName = this._getTable(mapper);
+        this.dbg('migrate', {tableName, dryRun: !!opts.dryRun});
+
+        const [columns, indexes, search] = await this._executeBatch([
+            {sql: `PRAGMA table_info("${tableName}")`, params: []},
+            {sql: `PRAGMA index_list("${tableName}")`, params: []},
+            {sql: `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, params: [`${tableName}_fts`]},
+        ]);
+        const plan = migrationPlan(
+            mapper,
+            tableName,
+            columns.results || [],
+            (indexes.results || []).map(x => x.name),
+            !!search.results?.length
+        );
+        this.dbg('migrate plan', plan);
+
+        if (plan.drop.length || plan.retype.length || plan.manual.length) {
+            this.log('warn', `Table ${tableName} differs from mapper schema, apply these changes manually`, {
+                drop: plan.drop,
+                retype: plan.retype,
+                manual: plan.manual,
+            });
+        }
+
+        if (opts.dryRun) {
+            return plan;
+        }
+
+        if (plan.statements.length) {
+            await this._executeBatch(plan.statements);
+            await this.invalidateCache(mapper);
+        }
+
+        this.#tableCache.add(tableName);
+        this.#migratedTables.add(tableName);
+        return plan;
+    }
+
     /**
      * Count records
      * @param mapper {Mapper}
@@ -143,11 +480,11 @@ export class CloudflareAdapter extends Adapter {
         await this._ensureTable(mapper);
         const table = this._getTable(mapper);
 
-        let builder = knex(table).count('* as count');
-        builder = toSql(builder, query || {});
+        let builder = this._scope(mapper, knex(table).count('* as count'), opts);
+        builder = toSql(builder, query || {}, whereContext(mapper, table));
         const {sql, bindings} = builder.toSQL();
 
-        const result = await this._executeSQL(sql, bindings);
+        const result = await this._executeSQL(sql, bindings, opts);
         const count = result.results?.[0]?.count || 0;
 
         this.dbg('_count result', {count});
@@ -164,21 +501,13 @@ export class CloudflareAdapter extends Adapter {
      */
     async _create(mapper, props, opts) {
         this.dbg('_create', {mapper: mapper.name, props});
-        await this._ensureTable(mapper);
-        const table = this._getTable(mapper);
 
-        const builder = knex(table).insert(props);
-        const {sql, bindings} = builder.toSQL();
-
-        const result = await this._executeSQL(sql, bindings);
-        const id = result.meta?.last_row_id;
-
-        if (id) {
-            props[mapper.idAttribute] = id;
-        }
+        // Stored row comes back through RETURNING, with generated ID and defaults
+        const [result] = await this._executeWrite(mapper, this._insertStatements(mapper, [props]), opts);
+        const record = decodeRecord(mapper, result.results?.[0]);
 
-        this.dbg('_create result', {id, props});
-        return [props, result.meta];
+        this.dbg('_create result', {id: record?.[mapper.idAttribute]});
+        return [record, result.meta];
     }
 
     /**
@@ -191,24 +520,145 @@ export class CloudflareAdapter extends Adapter {
      */
     async _createMany(mapper, props, opts) {
         this.dbg('_createMany', {mapper: mapper.name, count: props.length});
-        await this._ensureTable(mapper);
+
+        const statements = this._insertStatements(mapper, props);
+        const results = await this._executeWrite(mapper, statements, opts);
+        const records = results.flatMap(x => x.results || []).map(x => decodeRecord(mapper, x));
+
+        this.dbg('_createMany result', {count: records.length, statements: statements.length});
+        return [records, mergeMeta(results.map(x => x.meta))];
+    }
+
+    /**
+     * INSERT ... RETURNING statements for records.
+     * Each chunk is a separate INSERT, so they can be sent in a single batch
+     * @param mapper {Mapper}
+     * @param props {Object[]}
+     * @return {SqlStatement[]}
+     * @private
+     */
+    _insertStatements(mapper, props) {
         const table = this._getTable(mapper);
+        const rows = props.map(x => encodeRecord(mapper, stampRecord(mapper, x, 'create')));
+        return chunkRows(rows).map(chunk => toStatement(knex(table).insert(chunk).returning('*')));
+    }
 
-        const builder = knex(table).insert(props);
-        const {sql, bindings} = builder.toSQL();
+    /**
+     * Insert record, or update the stored one when it conflicts on `conflictTarget`.
+     * Done with a single `INSERT ... ON CONFLICT` statement, so concurrent writes don't race
+     * @example
+     * const user = await adapter.upsert(User, {email: 'a@example.com', name: 'Alice'}, {conflictTarget: 'email'});
+     * @param mapper {Mapper}
+     * @param props
+     * @param opts {UpsertOptions}
+     * @return {Promise<any>} stored record
+     */
+    async upsert(mapper, props, opts = {}) {
+        const [[record], meta] = await this._upsertMany(mapper, [props], opts);
+        return this.respond(new Response(record, meta, 'upsert'), opts);
+    }
+
+    /**
+     * Upsert several records, see `upsert`
+     * @param mapper {Mapper}
+     * @param records {Object[]}
+     * @param opts {UpsertOptions}
+     * @return {Promise<any[]>} stored records in the same order
+     */
+    async upsertMany(mapper, records, opts = {}) {
+        const [stored, meta] = await this._upsertMany(mapper, records, opts);
+        return this.respond(new Response(stored, meta, 'upsertMany'), opts);
+    }
+
+    /**
+     * @param mapper {Mapper}
+     * @param records {Object[]}
+     * @param opts {UpsertOptions}
+     * @return {Promise<[any[], any]>}
+     * @private
+     */
+    async _upsertMany(mapper, records, opts) {
+        this.dbg('_upsertMany', {mapper: mapper.name, count: records.length, conflictTarget: opts.conflictTarget});
+        if (!records.length) {
+            return [[], {}];
+        }
+
+        const target = utils.isString(opts.conflictTarget) ? [opts.conflictTarget] : opts.conflictTarget || [mapper.idAttribute];
+        const statements = this._upsertStatements(mapper, records, target, opts.merge);
+        const results = await this._executeWrite(mapper, statements, opts);
+
+        // Rows come from RETURNING of merging INSERTs, or from SELECTs following INSERT ... DO NOTHING
+        // Compared as strings, id given as '1' (from URL or form) is stored as 1 in INTEGER column
+        const key = (row) => JSON.stringify(target.map(x => row[x] == null ? null : String(row[x])));
+        const stored = new Map(results.flatMap(x => x.results || []).map(x => [key(x), x]));
+        const rows = records.map(x => stored.get(key(encodeRecord(mapper, x))));
+
+        this.dbg('_upsertMany result', {count: rows.length});
+        return [
+            rows.map(x => decodeRecord(mapper, x)),
+            mergeMeta(results.filter((_, i) => !isReadOnly(statements[i].sql)).map(x => x.meta)),
+        ];
+    }
+
+    /**
+     * INSERT ... ON CONFLICT statements. Merging ones return upserted rows,
+     * DO NOTHING returns only inserted rows so it is followed by SELECT of the stored ones
+     * @param mapper {Mapper}
+     * @param records {Object[]}
+     * @param target {string[]} conflict columns
+     * @param merge {boolean|string[]|undefined} columns to update on conflict, all inserted by default
+     * @return {SqlStatement[]}
+     * @private
+     */
+    _upsertStatements(mapper, records, target, merge) {
+        const table = this._getTable(mapper);
+        const rows = records.map(x => encodeRecord(mapper, stampRecord(mapper, x, 'create')));
 
-        const result = await this._executeSQL(sql, bindings);
+        const missing = target.find(column => rows.some(x => x[column] === undefined || x[column] === null));
+        if (missing) {
+            throw new Error(`upsert: ${missing} is required to detect conflicts`);
+        }
 
-        // Note: D1 doesn't return individual IDs for batch inserts
-        this.dbg('_createMany result', {count: props.length});
-        return [props, result.meta];
+        // Creation time of stored record is kept, update time is refreshed
+        const timestamps = timestampColumns(mapper);
+        const version = mapper.versionAttribute;
+        if (merge === undefined || merge === true) {
+            merge = [...new Set(rows.flatMap(x => Object.keys(x)))].filter(x => !target.includes(x) && x !== timestamps?.createdAt);
+        }
+        // Stored version is incremented, never replaced by the inserted one
+        merge = (merge || []).filter(x => x !== version);
+        // Explicit `merge: []` stays DO NOTHING, update time is refreshed only along with merged columns
+        if (merge.length && timestamps?.updatedAt && !merge.includes(timestamps.updatedAt)) {
+            merge = [...merge, timestamps.updatedAt];
+        }
+
+        let updates;
+        if (merge.length) {
+            updates = Object.fromEntries(merge.map(x => [x, knex.raw('excluded.??', [x])]));
+            if (version) {
+                updates[version] = knex.raw('?? + 1', [version]);
+            }
+        }
+
+        return chunkRows(rows).flatMap(chunk => {
+            const insert = knex(table).insert(chunk).onConflict(target);
+            if (updates) {
+                return [toStatement(insert.merge(updates).returning('*'))];
+            }
+
+            const select = knex(table).select('*').whereIn(
+                target.length === 1 ? target[0] : target,
+                chunk.map(x => target.length === 1 ? x[target[0]] : target.map(column => x[column]))
+            );
+            return [toStatement(insert.ignore()), toStatement(select)];
+        });
     }
 
     /**
      * Find a single record by ID
      * @param mapper {Mapper}
      * @param id
-     * @param opts
+     * @param opts {{fields?: string[]}} `fields` limits selected columns
      * @return {Promise<[any, any]>}
      * @private
      */
@@ -217,68 +667,307 @@ export class CloudflareAdapter extends Adapter {
         await this._ensureTable(mapper);
         const table = this._getTable(mapper);
 
-        const builder = knex(table)
+        const builder = this._scope(mapper, knex(table), opts)
+            .select(selectColumns(mapper, opts?.fields))
             .where(mapper.idAttribute, '=', id)
             .limit(1);
         const {sql, bindings} = builder.toSQL();
 
-        const result = await this._executeSQL(sql, bindings);
-        const record = result.results?.[0];
+        const result = await this._executeCached(mapper, sql, bindings, opts);
+        const record = decodeRecord(mapper, result.results?.[0]);
 
         this.dbg('_find result', {found: !!record});
         return [record, result.meta];
     }
 
     /**
-     * Find all records matching query
+     * Find all records matching query.
+     * Selected columns can be limited with `opts.fields` or `query.select`, `distinct` makes selection DISTINCT
      * @param mapper {Mapper}
      * @param query
-     * @param opts
+     * @param opts {{fields?: string[], distinct?: boolean}}
      * @return {Promise<[any[], any]>}
      * @private
      */
     async _findAll(mapper, query, opts) {
         this.dbg('_findAll', {mapper: mapper.name, query});
         await this._ensureTable(mapper);
-        const table = this._getTable(mapper);
-
-        let builder = knex(table).select('*');
-        builder = toSql(builder, query || {});
-        const {sql, bindings} = builder.toSQL();
 
-        const result = await this._executeSQL(sql, bindings);
-        const records = result.results || [];
+        const {sql, params} = this._selectStatement(mapper, query, opts);
+        const result = await this._executeCached(mapper, sql, params, opts);
+        const records = (result.results || []).map(x => decodeRecord(mapper, x));
 
         this.dbg('_findAll result', {count: records.length});
         return [records, result.meta];
     }
 
+    /**
+     * SELECT statement of `_findAll`.
+     * With `search` conditions and no `orderBy` records are ordered by bm25 relevance
+     * @param mapper {Mapper}
+     * @param query
+     * @param opts {{fields?: string[], distinct?: boolean, snippet?: boolean|SnippetOptions}}
+     * @return {SqlStatement}
+     * @private
+     */
+    _selectStatement(mapper, query, opts) {
+        const table = this._getTable(mapper);
+        query = query || {};
+        const distinct = !!(opts?.distinct || query.distinct);
+        let columns = selectColumns(mapper, opts?.fields || query.select, distinct);
+        const context = whereContext(mapper, table);
+        const search = context.search;
+        if (search && columns[0] === '*') {
+            // Ranking is joined, keep its columns out of records
+            columns = [`${table}.*`];
+        }
+
+        let builder = this._scope(mapper, knex(table), opts);
+        builder = toSql(distinct ? builder.distinct(columns) : builder.select(columns), query, context);
+
+        if (search?.matches.length) {
+            builder = this._rankSearch(builder, search, query, opts);
+        } else if (opts?.snippet) {
+            throw new Error('snippet: query has no search condition');
+        }
+        return toStatement(builder);
+    }
+
+    /**
+     * Join bm25 rank (and snippet) of rows matched by `search` conditions of the query.
+     * Join is LEFT, rows matched by other OR-ed conditions are kept and go last
+     * @param builder {QueryBuilder}
+     * @param search {SearchIndex} with collected match expressions
+     * @param query
+     * @param opts {{snippet?: boolean|SnippetOptions}}
+     * @return {QueryBuilder}
+     * @private
+     */
+    _rankSearch(builder, search, query, opts) {
+        const weights = search.columns.map(x => x.weight);
+        let ranked = knex(search.table)
+            .select('rowid', knex.raw(`bm25(??${', ?'.repeat(weights.length)}) as _rank`, [search.table, ...weights]))
+            .whereRaw('?? match ?', [search.table, search.matches.map(x => `(${x})`).join(' OR ')]);
+
+        if (opts?.snippet) {
+            const snippet = opts.snippet === true ? {} : opts.snippet;
+            const column = snippet.column === undefined ? -1 : search.columns.findIndex(x => x.name === snippet.column);
+            if (column === -1 && snippet.column !== undefined) {
+                throw new Error(`snippet: ${snippet.column} is not searchable`);
+            }
+
+            ranked = ranked.select(knex.raw('snippet(??, ?, ?, ?, ?, ?) as _snippet', [
+                search.table,
+                column,
+                snippet.before ?? '<b>',
+                snippet.after ?? '</b>',
+                snippet.ellipsis ?? '...',
+                snippet.tokens ?? 10,
+            ]));
+            builder = builder.select(`search._snippet as ${snippet.as || 'snippet'}`);
+        }
+
+        builder = builder.leftJoin(ranked.as('search'), 'search.rowid', `${search.source}.rowid`);
+        if (!query.orderBy) {
+            builder = builder.orderByRaw('?? is null, ??', ['search._rank', 'search._rank']);
+        }
+        return builder;
+    }
+
+    /**
+     * Walk through all records matching query, loading them page by page.
+     * Pages are fetched by keyset (`WHERE id > lastId ORDER BY id`) instead of OFFSET,
+     * so every page costs the same regardless of how deep the iteration is
+     * @example
+     * for await (const user of adapter.iterate(User, {where: {active: true}}, {batchSize: 500})) {
+     *     await exportUser(user);
+     * }
+     * @param mapper {Mapper}
+     * @param query filters and order, `limit` caps total amount of records
+     * @param opts {{batchSize?: number, fields?: string[]}}
+     * @return {AsyncGenerator<any>}
+     */
+    async *iterate(mapper, query = {}, opts = {}) {
+        const batchSize = opts.batchSize || 1000;
+        if (opts.distinct || query.distinct) {
+            throw new Error('iterate: distinct is not supported');
+        }
+
+        // Order must end with a unique column to tell where the previous page stopped
+        const order = utils.isString(query.orderBy) ? [[query.orderBy, 'ASC']] : [...(query.orderBy || [])];
+        if (!order.some(([name]) => name === mapper.idAttribute)) {
+            order.push([mapper.idAttribute, 'ASC']);
+        }
+        const keys = order.slice(0, order.findIndex(([name]) => name === mapper.idAttribute) + 1);
+
+        const fields = opts.fields || query.select;
+        const pageOpts = {...opts, fields: fields && [...fields, ...keys.map(([name]) => name)]};
+
+        this.dbg('iterate', {mapper: mapper.name, query, batchSize});
+        await this._ensureTable(mapper);
+
+        let remaining = query.limit ?? Infinity;
+        let last;
+        while (remaining > 0) {
+            const page = {...query, select: undefined, orderBy: order, limit: Math.min(batchSize, remaining)};
+            if (last) {
+                const after = keysetWhere(keys, last);
+                page.where = query.where === undefined ? after : [query.where, 'and', after];
+                delete page.offset;
+            }
+
+            const {sql, params} = this._selectStatement(mapper, page, pageOpts);
+            const rows = (await this._executeSQL(sql, params, opts)).results || [];
+            if (!rows.length) {
+                return;
+            }
+
+            // Keep raw values for the next page, decoded record may be handed over to caller and changed
+            last = {...rows[rows.length - 1]};
+            remaining -= rows.length;
+            for (const row of rows) {
+                yield decodeRecord(mapper, row);
+            }
+
+            if (rows.length < page.limit) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Load relations listed in `opts.with` for records returned by `_find` \ `_findAll`.
+     * Related records are loaded with a single `WHERE foreignKey IN (...)` query per relation
+     * and attached under relation's `localField`. Nested paths like `post.comment` load their parents as well
+     * @param mapper {Mapper}
+     * @param results {[any, any]}
+     * @param opts
+     * @return {Promise<[any, any]>}
+     */
+    loadRelationsFor(mapper, results, opts) {
+        opts.with = expandWith(opts.with);
+        this.dbg('loadRelationsFor', {mapper: mapper.name, with: opts.with});
+        return super.loadRelationsFor(mapper, results, opts);
+    }
+
     /**
      * Update a single record by ID
      * @param mapper {Mapper}
      * @param id
      * @param props
-     * @param opts
+     * @param opts {{withDeleted?: boolean}} `withDeleted` updates soft-deleted record as well
      * @return {Promise<[any, any]>}
      * @private
      */
     async _update(mapper, id, props, opts) {
         this.dbg('_update', {mapper: mapper.name, id, props});
-        await this._ensureTable(mapper);
+
+        const update = {id, props, statement: this._updateStatement(mapper, id, props, opts)};
+        let result;
+        try {
+            [result] = await this._executeWrite(mapper, this._versionedStatements(mapper, update, opts), opts);
+        } catch (error) {
+            throw await this._staleError(mapper, [update], error, opts);
+        }
+        const record = decodeRecord(mapper, result.results?.[0]);
+
+        this.dbg('_update result', {updated: result.meta?.changes > 0});
+        return [record, result.meta];
+    }
+
+    /**
+     * UPDATE ... RETURNING statement for the record.
+     * For mappers with `versionAttribute` only the version passed in props is updated, and version is incremented.
+     * Soft-deleted record is not updated unless `withDeleted` is set
+     * @param mapper {Mapper}
+     * @param id
+     * @param props
+     * @param opts {{withDeleted?: boolean}|undefined}
+     * @return {SqlStatement}
+     * @private
+     */
+    _updateStatement(mapper, id, props, opts) {
         const table = this._getTable(mapper);
+        const row = encodeRecord(mapper, stampRecord(mapper, props, 'update'));
+        let builder = this._scope(mapper, knex(table).where(mapper.idAttribute, '=', id), opts);
+
+        const version = mapper.versionAttribute;
+        if (version) {
+            if (row[version] != null) {
+                builder = builder.where(version, '=', row[version]);
+            }
+            row[version] = knex.raw('?? + 1', [version]);
+        }
 
-        const builder = knex(table)
-            .where(mapper.idAttribute, '=', id)
-            .update(props);
-        const {sql, bindings} = builder.toSQL();
+        return toStatement(builder.update(row).returning('*'));
+    }
 
-        const result = await this._executeSQL(sql, bindings);
+    /**
+     * Update statement followed by stale guard when props carry version (see mapper `versionAttribute`).
+     * Guard fails the batch when the record exists but was not updated, so D1 rolls back every write of the batch
+     * @param mapper {Mapper}
+     * @param update {{id: any, props: Object, statement: SqlStatement}}
+     * @param opts {{withDeleted?: boolean}|undefined} soft-deleted record is skipped by update, so it is not stale
+     * @return {SqlStatement[]}
+     * @private
+     */
+    _versionedStatements(mapper, update, opts) {
+        const version = mapper.versionAttribute;
+        if (!version || update.props[version] == null) {
+            return [update.statement];
+        }
 
-        // Fetch the updated record
-        const [record] = await this._find(mapper, id, opts);
+        const table = this._getTable(mapper);
+        const exists = this._scope(mapper, knex(table).select(knex.raw('1')).where(mapper.idAttribute, '=', update.id), opts);
+        const guard = knex.select(knex.raw(
+            `json_extract('{}', case when changes() = 0 and exists ? then '${STALE_GUARD}' else '$' end) as stale`,
+            [exists]
+        ));
+        return [update.statement, toStatement(guard)];
+    }
 
-        this.dbg('_update result', {updated: result.meta?.changes > 0});
-        return [record, result.meta];
+    /**
+     * Describe stale records of failed batch, batch is rolled back so stored versions are the ones which conflicted
+     * @param mapper {Mapper}
+     * @param updates {{id: any, props: Object, statement: SqlStatement}[]} updates of the batch
+     * @param error {Error} error of the batch
+     * @param opts
+     * @return {Promise<Error>} `StaleRecordError` with records, or `error` itself if it is not about stale records
+     * @private
+     */
+    async _staleError(mapper, updates, error, opts) {
+        const version = mapper.versionAttribute;
+        const versioned = updates.filter(x => x.props[version] != null);
+        if (!(error instanceof StaleRecordError) || !version || !versioned.length) {
+            return error;
+        }
+
+        const table = this._getTable(mapper);
+        const {sql, params} = toStatement(knex(table)
+            .select(mapper.idAttribute, version)
+            .whereIn(mapper.idAttribute, versioned.map(x => x.id)));
+        const stored = (await this._executeSQL(sql, params, opts)).results || [];
+
+        const stale = stored
+            .map(row => {
+                const update = versioned.find(x => String(x.id) === String(row[mapper.idAttribute]));
+                return {id: row[mapper.idAttribute], expected: update.props[version], actual: row[version], statement: update.statement};
+            })
+            .filter(x => String(x.expected) !== String(x.actual));
+        this.dbg('stale records', {mapper: mapper.name, stale});
+        if (!stale.length) {
+            return error;
+        }
+
+        const versions = stale.map(x => `#${x.id} ${x.expected} -> ${x.actual}`).join(', ');
+        return new StaleRecordError(`${mapper.name} changed since it was read, version of ${versions}`, {
+            table,
+            records: stale.map(({id, expected, actual}) => ({id, expected, actual})),
+            sql: stale[0].statement.sql,
+            bindings: stale[0].statement.params,
+            statementIndex: error.statementIndex,
+            cause: error,
+        });
     }
 
     /**
@@ -293,40 +982,69 @@ export class CloudflareAdapter extends Adapter {
     async _updateAll(mapper, props, query, opts) {
         this.dbg('_updateAll', {mapper: mapper.name, props, query});
         await this._ensureTable(mapper);
-        const table = this._getTable(mapper);
-
-        let builder = knex(table).update(props);
-        builder = toSql(builder, query || {});
-        const {sql, bindings} = builder.toSQL();
 
-        const result = await this._executeSQL(sql, bindings);
+        const {sql, params} = this._updateAllStatement(mapper, props, query, opts);
+        const result = await this._executeSQL(sql, params, opts);
+        await this.invalidateCache(mapper);
+        const records = (result.results || []).map(x => decodeRecord(mapper, x));
 
-        // Note: D1 doesn't return updated records, would need a separate query
         this.dbg('_updateAll result', {changes: result.meta?.changes});
-        return [[], result.meta];
+        return [records, result.meta];
+    }
+
+    /**
+     * UPDATE ... RETURNING statement for all records matching query, soft-deleted ones are skipped
+     * @param mapper {Mapper}
+     * @param props
+     * @param query
+     * @param opts {{withDeleted?: boolean}}
+     * @return {SqlStatement}
+     * @private
+     */
+    _updateAllStatement(mapper, props, query, opts) {
+        const table = this._getTable(mapper);
+        const row = encodeRecord(mapper, stampRecord(mapper, props, 'update'));
+        if (mapper.versionAttribute) {
+            row[mapper.versionAttribute] = knex.raw('?? + 1', [mapper.versionAttribute]);
+        }
+        const builder = this._scope(mapper, knex(table), opts).update(row).returning('*');
+        return toStatement(toSql(builder, query || {}, whereContext(mapper, table)));
     }
 
     /**
-     * Update many records
+     * Update many records in a single batch, a stale record (see mapper `versionAttribute`) rolls back all of them
      * @param mapper {Mapper}
      * @param records
-     * @param opts
+     * @param opts {{withDeleted?: boolean}} `withDeleted` updates soft-deleted records as well
      * @return {Promise<[any[], any]>}
      * @private
      */
     async _updateMany(mapper, records, opts) {
         this.dbg('_updateMany', {mapper: mapper.name, count: records.length});
 
-        const results = [];
-        const metas = [];
-
-        for (const record of records) {
-            const id = utils.get(record, mapper.idAttribute);
-            const [updated, meta] = await this._update(mapper, id, record, opts);
-            results.push(updated);
-            metas.push(meta);
+        // UPDATE ... RETURNING for every record, all in a single batch
+        const updates = records.map(props => {
+            const id = utils.get(props, mapper.idAttribute);
+            return {id, props, statement: this._updateStatement(mapper, id, props, opts)};
+        });
+        const statements = updates.map(x => this._versionedStatements(mapper, x, opts));
+        let batch;
+        try {
+            batch = await this._executeWrite(mapper, statements.flat(), opts);
+        } catch (error) {
+            throw await this._staleError(mapper, updates, error, opts);
         }
 
+        // Result of every UPDATE, guards are skipped
+        let offset = 0;
+        const own = statements.map(x => {
+            const result = batch[offset];
+            offset += x.length;
+            return result;
+        });
+        const results = own.map(x => decodeRecord(mapper, x.results?.[0]));
+        const metas = own.map(x => x.meta);
+
         this.dbg('_updateMany result', {count: results.length});
         return [results, {updates: metas}];
     }
@@ -342,19 +1060,28 @@ export class CloudflareAdapter extends Adapter {
     async _destroy(mapper, id, opts) {
         this.dbg('_destroy', {mapper: mapper.name, id});
         await this._ensureTable(mapper);
-        const table = this._getTable(mapper);
-
-        const builder = knex(table)
-            .where(mapper.idAttribute, '=', id)
-            .delete();
-        const {sql, bindings} = builder.toSQL();
 
-        const result = await this._executeSQL(sql, bindings);
+        const {sql, params} = this._destroyStatement(mapper, id, opts);
+        const result = await this._executeSQL(sql, params, opts);
+        await this.invalidateCache(mapper);
 
         this.dbg('_destroy result', {deleted: result.meta?.changes > 0});
         return [undefined, result.meta];
     }
 
+    /**
+     * DELETE statement for the record, UPDATE of soft-delete timestamp for `softDelete` mappers
+     * @param mapper {Mapper}
+     * @param id
+     * @param opts {{force?: boolean}} `force` deletes soft-deletable record for real
+     * @return {SqlStatement}
+     * @private
+     */
+    _destroyStatement(mapper, id, opts) {
+        const table = this._getTable(mapper);
+        return toStatement(this._delete(mapper, knex(table).where(mapper.idAttribute, '=', id), opts));
+    }
+
     /**
      * Destroy all records matching query
      * @param mapper {Mapper}
@@ -366,18 +1093,98 @@ export class CloudflareAdapter extends Adapter {
     async _destroyAll(mapper, query, opts) {
         this.dbg('_destroyAll', {mapper: mapper.name, query});
         await this._ensureTable(mapper);
-        const table = this._getTable(mapper);
 
-        let builder = knex(table).delete();
-        builder = toSql(builder, query || {});
-        const {sql, bindings} = builder.toSQL();
-
-        const result = await this._executeSQL(sql, bindings);
+        const {sql, params} = this._destroyAllStatement(mapper, query, opts);
+        const result = await this._executeSQL(sql, params, opts);
+        await this.invalidateCache(mapper);
 
         this.dbg('_destroyAll result', {changes: result.meta?.changes});
         return [undefined, result.meta];
     }
 
+    /**
+     * DELETE statement for all records matching query, UPDATE of soft-delete timestamp for `softDelete` mappers
+     * @param mapper {Mapper}
+     * @param query
+     * @param opts {{force?: boolean}}
+     * @return {SqlStatement}
+     * @private
+     */
+    _destroyAllStatement(mapper, query, opts) {
+        const table = this._getTable(mapper);
+        return toStatement(this._delete(mapper, toSql(knex(table), query || {}, whereContext(mapper, table)), opts));
+    }
+
+    /**
+     * Turn builder into DELETE, or into UPDATE setting soft-delete timestamp of not yet deleted rows
+     * @param mapper {Mapper}
+     * @param builder {QueryBuilder}
+     * @param opts {{force?: boolean}}
+     * @return {QueryBuilder}
+     * @private
+     */
+    _delete(mapper, builder, opts) {
+        const column = softDeleteColumn(mapper);
+        if (!column || opts?.force) {
+            return builder.delete();
+        }
+        return builder.whereNull(column).update(encodeRecord(mapper, {[column]: new Date().toISOString()}));
+    }
+
+    /**
+     * Hide soft-deleted rows unless `opts.withDeleted` is set
+     * @param mapper {Mapper}
+     * @param builder {QueryBuilder}
+     * @param opts {{withDeleted?: boolean}}
+     * @return {QueryBuilder}
+     * @private
+     */
+    _scope(mapper, builder, opts) {
+        const column = softDeleteColumn(mapper);
+        return column && !opts?.withDeleted ? builder.whereNull(column) : builder;
+    }
+
+    /**
+     * Bring soft-deleted record back
+     * @param mapper {Mapper}
+     * @param id
+     * @param opts
+     * @return {Promise<any>} restored record, `undefined` if there is no such record
+     */
+    async restore(mapper, id, opts = {}) {
+        const column = softDeleteColumn(mapper);
+        if (!column) {
+            throw new Error(`restore: ${mapper.name} has no softDelete option`);
+        }
+        this.dbg('restore', {mapper: mapper.name, id});
+
+        const table = this._getTable(mapper);
+        const row = encodeRecord(mapper, stampRecord(mapper, {[column]: null}, 'update'));
+        const statement = toStatement(knex(table).where(mapper.idAttribute, '=', id).update(row).returning('*'));
+        const [result] = await this._executeWrite(mapper, [statement], opts);
+        const record = decodeRecord(mapper, result.results?.[0]);
+
+        return this.respond(new Response(record, result.meta, 'restore'), opts);
+    }
+
+    /**
+     * Delete record for real, bypassing `softDelete`
+     * @param mapper {Mapper}
+     * @param id
+     * @param opts
+     * @return {Promise<undefined>}
+     */
+    async forceDestroy(mapper, id, opts = {}) {
+        this.dbg('forceDestroy', {mapper: mapper.name, id});
+        await this._ensureTable(mapper);
+
+        const {sql, params} = this._destroyStatement(mapper, id, {force: true});
+        const result = await this._executeSQL(sql, params, opts);
+        await this.invalidateCache(mapper);
+
+        return this.respond(new Response(undefined, result.meta, 'forceDestroy'), opts);
+    }
+
     /**
      * Sum a field
      * @param mapper {Mapper}
@@ -388,18 +1195,230 @@ export class CloudflareAdapter extends Adapter {
      * @private
      */
     async _sum(mapper, field, query, opts) {
-        this.dbg('_sum', {mapper: mapper.name, field, query});
+        const [sum, meta] = await this._fieldAggregate('sum', mapper, field, query, opts);
+        return [sum || 0, meta];
+    }
+
+    /**
+     * Average of field values
+     * @param mapper {Mapper}
+     * @param field
+     * @param query
+     * @param opts
+     * @return {Promise<[number|null, any]>}
+     * @private
+     */
+    async _avg(mapper, field, query, opts) {
+        return this._fieldAggregate('avg', mapper, field, query, opts);
+    }
+
+    /**
+     * Smallest field value
+     * @param mapper {Mapper}
+     * @param field
+     * @param query
+     * @param opts
+     * @return {Promise<[any, any]>}
+     * @private
+     */
+    async _min(mapper, field, query, opts) {
+        return this._fieldAggregate('min', mapper, field, query, opts);
+    }
+
+    /**
+     * Largest field value
+     * @param mapper {Mapper}
+     * @param field
+     * @param query
+     * @param opts
+     * @return {Promise<[any, any]>}
+     * @private
+     */
+    async _max(mapper, field, query, opts) {
+        return this._fieldAggregate('max', mapper, field, query, opts);
+    }
+
+    /**
+     * @param op {'sum'|'avg'|'min'|'max'}
+     * @param mapper {Mapper}
+     * @param field {string}
+     * @param query
+     * @param opts
+     * @return {Promise<[any, any]>} `null` when no record matches
+     * @private
+     */
+    async _fieldAggregate(op, mapper, field, query, opts) {
+        this.dbg(`_${op}`, {mapper: mapper.name, field, query});
         await this._ensureTable(mapper);
         const table = this._getTable(mapper);
 
-        let builder = knex(table).sum(`${field} as sum`);
-        builder = toSql(builder, query || {});
+        // Object form makes knex quote field as identifier
+        let builder = this._scope(mapper, knex(table), opts)[op]({[op]: field});
+        builder = toSql(builder, query || {}, whereContext(mapper, table));
         const {sql, bindings} = builder.toSQL();
 
-        const result = await this._executeSQL(sql, bindings);
-        const sum = result.results?.[0]?.sum || 0;
+        const result = await this._executeSQL(sql, bindings, opts);
+        let value = result.results?.[0]?.[op] ?? null;
+        if (op === 'min' || op === 'max') {
+            // e.g. date-time stored as epoch millis
+            value = decodeRecord(mapper, {[field]: value})[field];
+        }
+
+        this.dbg(`_${op} result`, {[op]: value});
+        return [value, result.meta];
+    }
+
+    /**
+     * Average of field values of records matching query
+     * @param mapper {Mapper}
+     * @param field {string}
+     * @param query
+     * @param opts
+     * @return {Promise<number|null>}
+     */
+    avg(mapper, field, query, opts) {
+        return this.#respondAggregate('avg', mapper, field, query, opts);
+    }
+
+    /**
+     * Smallest field value of records matching query
+     * @param mapper {Mapper}
+     * @param field {string}
+     * @param query
+     * @param opts
+     * @return {Promise<any>}
+     */
+    min(mapper, field, query, opts) {
+        return this.#respondAggregate('min', mapper, field, query, opts);
+    }
+
+    /**
+     * Largest field value of records matching query
+     * @param mapper {Mapper}
+     * @param field {string}
+     * @param query
+     * @param opts
+     * @return {Promise<any>}
+     */
+    max(mapper, field, query, opts) {
+        return this.#respondAggregate('max', mapper, field, query, opts);
+    }
+
+    async #respondAggregate(op, mapper, field, query, opts = {}) {
+        if (!utils.isString(field)) {
+            throw new Error('field must be a string!');
+        }
+        const [data, meta] = await this[`_${op}`](mapper, field, query || {}, opts);
+        return this.respond(new Response(data, meta || {}, op), opts);
+    }
+
+    /**
+     * Compute aggregates per group in D1.
+     * `having` uses the same syntax as `where` and filters by aggregate and group aliases
+     * @example
+     * // orders per status and day
+     * await adapter.aggregate(Order, {
+     *     groupBy: ['status', {day: {day: 'created_at'}}],
+     *     aggregates: {orders: {count: '*'}, revenue: {sum: 'amount'}},
+     *     having: {orders: {'>': 10}},
+     * }, {where: {amount: {'>': 0}}, orderBy: [['day', 'ASC']]});
+     * @param mapper {Mapper}
+     * @param spec {AggregateSpec}
+     * @param query filters, `orderBy`, `limit` and `offset` may refer to aliases
+     * @param opts
+     * @return {Promise<Object[]>} one row per group
+     */
+    async aggregate(mapper, spec, query, opts = {}) {
+        this.dbg('aggregate', {mapper: mapper.name, spec, query});
+        await this._ensureTable(mapper);
+
+        const {sql, params} = this._aggregateStatement(mapper, spec, query || {}, opts);
+        const result = await this._executeSQL(sql, params, opts);
+        // Only plain groupBy columns are stored values, aggregate and date bucket aliases may shadow property names
+        const columns = [].concat(spec.groupBy || []).filter(x => utils.isString(x));
+        const rows = (result.results || []).map(x => decodeRecord(mapper, x, columns));
+
+        this.dbg('aggregate result', {groups: rows.length});
+        return this.respond(new Response(rows, result.meta || {}, 'aggregate'), opts);
+    }
+
+    /**
+     * @param mapper {Mapper}
+     * @param spec {AggregateSpec}
+     * @param query
+     * @param opts
+     * @return {SqlStatement}
+     * @private
+     */
+    _aggregateStatement(mapper, spec, query, opts) {
+        const table = this._getTable(mapper);
+        const {groups, aggregates} = aggregateColumns(mapper, spec);
+        const {orderBy, limit, offset, ...filter} = query;
+        const page = Object.fromEntries(Object.entries({orderBy, limit, offset}).filter(([, x]) => x !== undefined));
+
+        let builder = this._scope(mapper, knex(table), opts)
+            .select([...groups.map(x => x.select), ...aggregates]);
+        builder = toSql(builder, filter, whereContext(mapper, table));
+        groups.forEach(x => {
+            builder = builder.groupBy(x.group);
+        });
+
+        if (spec.having) {
+            // Aliases can't be used in WHERE, so groups are filtered in outer query
+            builder = knex.select('*').from(builder.as('groups'));
+            builder = toSql(builder, {where: spec.having});
+        }
+
+        return toStatement(toSql(builder, page));
+    }
 
-        this.dbg('_sum result', {sum});
-        return [sum, result.meta];
+    /**
+     * Run hand-written SQL.
+     * With `mapper`, rows are decoded by its schema and wrapped as its records, and a write invalidates cached
+     * results of its table. D1 `meta` is returned with `raw: true`
+     * @example
+     * const ranked = await adapter.query(adapter.sql`
+     *     select *, rank() over (order by score desc) as place from player where team_id = ${teamId}
+     * `, {mapper: Player});
+     * @param sql {string|SqlStatement} SQL with `?` placeholders, or statement built by `sql` tag
+     * @param params {any[]} bound parameters, omitted for statement
+     * @param opts {{mapper?: Mapper, raw?: boolean, session?: D1Session}}
+     * @return {Promise<Object[]>}
+     */
+    async query(sql, params, opts) {
+        if (isStatement(sql)) {
+            return this.query(sql.sql, sql.params, params);
+        }
+        if (!utils.isString(sql)) {
+            throw new Error('query: sql must be a string or a statement');
+        }
+        opts = opts || {};
+        const mapper = opts.mapper;
+        this.dbg('query', {sql, params, mapper: mapper?.name});
+
+        const result = await this._executeSQL(sql, params || [], opts);
+        let rows = result.results || [];
+        if (mapper) {
+            if (!isReadOnly(sql)) {
+                await this.invalidateCache(mapper);
+            }
+            rows = mapper.createRecord(rows.map(x => decodeRecord(mapper, x)), {noValidate: true});
+        }
+
+        return this.respond(new Response(rows, result.meta || {}, 'query'), opts);
+    }
+
+    /**
+     * Tag for hand-written SQL, interpolated values are bound as parameters, never concatenated.
+     * Arrays expand to `(?, ?, ...)` lists, statements built by this tag can be nested
+     * @example
+     * const filter = adapter.sql`status in ${['new', 'paid']}`;
+     * await adapter.query(adapter.sql`select * from "order" where ${filter} and amount > ${min}`);
+     * @param strings {TemplateStringsArray}
+     * @param values {any}
+     * @return {SqlStatement}
+     */
+    sql(strings, ...values) {
+        return templateStatement(strings, values);
     }
 }
@@ -3,8 +3,113 @@
  */
 import {describe, it, beforeEach, afterEach, mock} from 'node:test';
 import assert from 'node:assert';
-import {CloudflareAdapter} from "./index.js";
-import {Mapper} from 'js-data';
+import {
+    AuthError,
+    CloudflareAdapter,
+    ConstraintError,
+    D1Error,
+    MemoryCacheStore,
+    NotFoundTableError,
+    RateLimitError,
+    SqliteExecutor,
+    SqlSyntaxError,
+    StaleRecordError
+} from "./index.js";
+import {createTableSql, indexDefinitions, RETRY_DEFAULTS, retryDelay} from "./util.js";
+import {DataStore, Mapper} from 'js-data';
+import Database from 'better-sqlite3';
+
+/**
+ * D1 binding-shaped object backed by in-memory better-sqlite3
+ */
+function createSqliteBinding() {
+    const db = new Database(':memory:');
+
+    const execute = (sql, params) => {
+        const statement = db.prepare(sql);
+        if (statement.reader && statement.readonly) {
+            const results = statement.all(...params);
+            return {success: true, results, meta: {changes: 0, rows_read: results.length}};
+        }
+
+        if (statement.reader) {
+            const results = statement.all(...params);
+            const info = db.prepare('select changes() as changes, last_insert_rowid() as id').get();
+            return {
+                success: true,
+                results,
+                meta: {changes: info.changes, last_row_id: info.id, changed_db: info.changes > 0}
+            };
+        }
+
+        const info = statement.run(...params);
+        return {
+            success: true,
+            results: [],
+            meta: {changes: info.changes, last_row_id: Number(info.lastInsertRowid), changed_db: info.changes > 0}
+        };
+    };
+
+    // Every query inside a session moves the bookmark forward
+    let queries = 0;
+
+    const binding = {
+        db,
+        // withSession() arguments in call order
+        sessions: [],
+        prepare(sql) {
+            let params = [];
+            const statement = {
+                bind(...values) {
+                    params = values;
+                    return statement;
+                },
+                all: async () => execute(sql, params),
+                run: async () => execute(sql, params),
+                execute: () => execute(sql, params),
+            };
+            return statement;
+        },
+        async batch(statements) {
+            return db.transaction(() => statements.map(x => x.execute()))();
+        },
+        withSession(start) {
+            binding.sessions.push(start);
+            let bookmark = null;
+            const advance = (result) => {
+                bookmark = String(++queries).padStart(8, '0');
+                return result;
+            };
+            return {
+                prepare(sql) {
+                    const statement = binding.prepare(sql);
+                    const {all, run} = statement;
+                    statement.all = async () => advance(await all());
+                    statement.run = async () => advance(await run());
+                    return statement;
+                },
+                batch: async (statements) => advance(await binding.batch(statements)),
+                getBookmark: () => bookmark,
+            };
+        },
+    };
+    return binding;
+}
+
+/**
+ * Adapter over in-memory better-sqlite3 with table autocreation, resolved once existing tables are listed
+ * @param params {Object} adapter params to add or override, e.g. `executor` over own database
+ * @return {Promise<CloudflareAdapter>}
+ */
+async function createSqliteAdapter(params = {}) {
+    const adapter = new CloudflareAdapter({
+        executor: new SqliteExecutor(new Database(':memory:')),
+        autocreateTables: true,
+        ...params,
+    });
+    await adapter.ready;
+    return adapter;
+}
 
 describe('CloudflareAdapter', () => {
     let adapter;
@@ -42,6 +147,18 @@ describe('CloudflareAdapter', () => {
         it('should initialize with correct configuration', () => {
             assert.ok(adapter instanceof CloudflareAdapter);
         });
+
+        it('should be ready when table listing fails', async () => {
+            const executor = {
+                execute: async () => {
+                    throw new Error('Unavailable');
+                },
+            };
+            const failing = new CloudflareAdapter({executor});
+
+            await failing.ready;
+            await assert.rejects(() => failing._executeSQL('select 1'), {message: 'Unavailable'});
+        });
     });
 
     describe('HTTP', () => {
@@ -185,63 +302,45 @@ describe('CloudflareAdapter', () => {
 
     describe('_create', () => {
         it('should create a record', async () => {
-            let callCount = 0;
-            mockFetch.mock.mockImplementation(async () => {
-                callCount++;
-                if (callCount === 1) {
-                    // Table existence check
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [{name: 'user'}], meta: {}}]
-                        })
-                    };
-                } else {
-                    // Insert query
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [], meta: {last_row_id: 123}}]
-                        })
-                    };
-                }
-            });
+            mockFetch.mock.resetCalls();
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 200,
+                json: async () => ({
+                    success: true,
+                    // Table creation + insert in a single batch
+                    result: [
+                        {results: [], meta: {}},
+                        {results: [{id: 123, name: 'John Doe', email: 'john@example.com'}], meta: {last_row_id: 123}}
+                    ]
+                })
+            }));
 
             const props = {name: 'John Doe', email: 'john@example.com'};
             const [created, meta] = await adapter._create(testMapper, props, {});
 
             assert.strictEqual(created.id, 123);
             assert.strictEqual(created.name, 'John Doe');
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+
+            const body = JSON.parse(mockFetch.mock.calls[0].arguments[1].body);
+            assert.strictEqual(body.batch.length, 2);
+            assert.match(body.batch[0].sql, /^CREATE TABLE IF NOT EXISTS "user"/);
+            assert.match(body.batch[1].sql, /^insert into `user`.* returning \*$/);
         });
     });
 
     describe('_createMany', () => {
         it('should create multiple records', async () => {
-            let callCount = 0;
-            mockFetch.mock.mockImplementation(async () => {
-                callCount++;
-                if (callCount === 1) {
-                    // Table existence check
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [{name: 'user'}], meta: {}}]
-                        })
-                    };
-                } else {
-                    // Batch insert query
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [], meta: {changes: 3}}]
-                        })
-                    };
-                }
-            });
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 200,
+                json: async () => ({
+                    success: true,
+                    result: [
+                        {results: [], meta: {}},
+                        {results: [{id: 1, name: 'User 1'}, {id: 2, name: 'User 2'}, {id: 3, name: 'User 3'}], meta: {changes: 3}}
+                    ]
+                })
+            }));
 
             const props = [
                 {name: 'User 1'},
@@ -250,7 +349,31 @@ describe('CloudflareAdapter', () => {
             ];
             const [created, meta] = await adapter._createMany(testMapper, props, {});
 
-            assert.strictEqual(created.length, 3);
+            assert.deepStrictEqual(created.map(x => x.id), [1, 2, 3]);
+            assert.strictEqual(meta.changes, 3);
+        });
+
+        it('should split inserts to fit bound parameters limit', async () => {
+            mockFetch.mock.resetCalls();
+            mockFetch.mock.mockImplementation(async (url, params) => {
+                const {batch} = JSON.parse(params.body);
+                return {
+                    status: 200,
+                    json: async () => ({
+                        success: true,
+                        result: batch.map(x => ({results: [], meta: {changes: x.params.length / 2}}))
+                    })
+                };
+            });
+
+            const props = Array.from({length: 120}, (_, i) => ({name: `User ${i}`, age: i}));
+            const [, meta] = await adapter._createMany(testMapper, props, {});
+
+            const {batch} = JSON.parse(mockFetch.mock.calls[0].arguments[1].body);
+            // Table creation + 3 inserts of 50, 50 and 20 rows
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+            assert.deepStrictEqual(batch.slice(1).map(x => x.params.length), [100, 100, 40]);
+            assert.strictEqual(meta.changes, 120);
         });
     });
 
@@ -393,42 +516,23 @@ describe('CloudflareAdapter', () => {
         it('should update a record', async () => {
             const updatedUser = {id: 1, name: 'Updated Name', email: 'updated@example.com'};
 
-            let callCount = 0;
-            mockFetch.mock.mockImplementation(async () => {
-                callCount++;
-                if (callCount === 1) {
-                    // Table existence check for _update
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [{name: 'user'}], meta: {}}]
-                        })
-                    };
-                } else if (callCount === 2) {
-                    // Update query
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [], meta: {changes: 1}}]
-                        })
-                    };
-                } else {
-                    // Find query to get updated record (table check is cached)
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [updatedUser], meta: {}}]
-                        })
-                    };
-                }
-            });
+            mockFetch.mock.resetCalls();
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 200,
+                json: async () => ({
+                    success: true,
+                    // Table creation + update ... returning in a single batch
+                    result: [
+                        {results: [], meta: {}},
+                        {results: [updatedUser], meta: {changes: 1}}
+                    ]
+                })
+            }));
 
             const [record] = await adapter._update(testMapper, 1, {name: 'Updated Name'}, {});
 
             assert.deepStrictEqual(record, updatedUser);
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
         });
     });
 
@@ -452,7 +556,7 @@ describe('CloudflareAdapter', () => {
                         status: 200,
                         json: async () => ({
                             success: true,
-                            result: [{results: [], meta: {changes: 5}}]
+                            result: [{results: [{id: 1, status: 'inactive'}], meta: {changes: 5}}]
                         })
                     };
                 }
@@ -465,74 +569,39 @@ describe('CloudflareAdapter', () => {
                 {}
             );
 
+            assert.deepStrictEqual(records, [{id: 1, status: 'inactive'}]);
             assert.strictEqual(meta.changes, 5);
         });
     });
 
     describe('_updateMany', () => {
-        it('should update multiple records', async () => {
+        it('should update multiple records in a single batch', async () => {
             const records = [
                 {id: 1, name: 'User 1 Updated'},
                 {id: 2, name: 'User 2 Updated'}
             ];
 
-            let callCount = 0;
-            mockFetch.mock.mockImplementation(async () => {
-                callCount++;
-                // First _update call for record 1
-                if (callCount === 1) {
-                    // Table existence check
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [{name: 'user'}], meta: {}}]
-                        })
-                    };
-                } else if (callCount === 2) {
-                    // Update query
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [], meta: {changes: 1}}]
-                        })
-                    };
-                } else if (callCount === 3) {
-                    // Find query (table check is cached)
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [records[0]], meta: {}}]
-                        })
-                    };
-                }
-                // Second _update call for record 2
-                else if (callCount === 4) {
-                    // Update query (table check is cached)
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [], meta: {changes: 1}}]
-                        })
-                    };
-                } else {
-                    // Find query
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [records[1]], meta: {}}]
-                        })
-                    };
-                }
-            });
+            mockFetch.mock.resetCalls();
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 200,
+                json: async () => ({
+                    success: true,
+                    result: [
+                        {results: [], meta: {}},
+                        {results: [records[0]], meta: {changes: 1}},
+                        {results: [records[1]], meta: {changes: 1}}
+                    ]
+                })
+            }));
+
+            const [updated, meta] = await adapter._updateMany(testMapper, records, {});
 
-            const [updated] = await adapter._updateMany(testMapper, records, {});
+            assert.deepStrictEqual(updated, records);
+            assert.deepStrictEqual(meta.updates.map(x => x.changes), [1, 1]);
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
 
-            assert.strictEqual(updated.length, 2);
+            const {batch} = JSON.parse(mockFetch.mock.calls[0].arguments[1].body);
+            assert.strictEqual(batch.length, 3);
         });
     });
 
@@ -829,22 +898,16 @@ describe('CloudflareAdapter', () => {
                             result: [{results: [], meta: {}}]
                         })
                     };
-                } else if (callCount === 2) {
-                    // Create table (CREATE TABLE IF NOT EXISTS)
-                    return {
-                        status: 200,
-                        json: async () => ({
-                            success: true,
-                            result: [{results: [], meta: {}}]
-                        })
-                    };
                 } else {
-                    // Insert record
+                    // Create table (CREATE TABLE IF NOT EXISTS) + insert record
                     return {
                         status: 200,
                         json: async () => ({
                             success: true,
-                            result: [{results: [], meta: {last_row_id: 1}}]
+                            result: [
+                                {results: [], meta: {}},
+                                {results: [{id: 1, name: 'Test User', email: 'test@example.com'}], meta: {last_row_id: 1}}
+                            ]
                         })
                     };
                 }
@@ -858,16 +921,1725 @@ describe('CloudflareAdapter', () => {
                 autocreateTables: true
             });
 
-            // Wait a bit for constructor's async operation to complete
-            await new Promise(resolve => setTimeout(resolve, 50));
+            await newAdapter.ready;
 
             const props = {name: 'Test User', email: 'test@example.com'};
             const [created] = await newAdapter._create(testMapper, props, {});
 
             assert.strictEqual(created.id, 1);
             assert.strictEqual(created.name, 'Test User');
-            // Should make 3 calls: constructor query + create table + insert
-            assert.strictEqual(newMockFetch.mock.calls.length, 3);
+            // Should make 2 calls: constructor query + batch of create table and insert
+            assert.strictEqual(newMockFetch.mock.calls.length, 2);
+        });
+    });
+
+    describe('D1 binding', () => {
+        let binding;
+        let bindingAdapter;
+        let schemaMapper;
+
+        beforeEach(async () => {
+            schemaMapper = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        name: {type: 'string'},
+                        age: {type: 'integer'},
+                    }
+                }
+            });
+            mockFetch.mock.resetCalls();
+            binding = createSqliteBinding();
+            bindingAdapter = new CloudflareAdapter({binding, autocreateTables: true});
+            await bindingAdapter.ready;
+        });
+
+        it('should run CRUD through the binding instead of HTTP', async () => {
+            const [created, createMeta] = await bindingAdapter._create(schemaMapper, {name: 'John', age: 30}, {});
+            assert.strictEqual(created.id, 1);
+            assert.strictEqual(createMeta.last_row_id, 1);
+
+            await bindingAdapter._createMany(schemaMapper, [{name: 'Jane', age: 20}, {name: 'Bob', age: 40}], {});
+
+            const [found] = await bindingAdapter._find(schemaMapper, 1, {});
+            assert.strictEqual(found.name, 'John');
+
+            const [adults] = await bindingAdapter._findAll(schemaMapper, {where: {age: {'>=': 30}}}, {});
+            assert.deepStrictEqual(adults.map(x => x.name), ['John', 'Bob']);
+
+            const [updated] = await bindingAdapter._update(schemaMapper, 1, {age: 31}, {});
+            assert.strictEqual(updated.age, 31);
+
+            const [, destroyMeta] = await bindingAdapter._destroy(schemaMapper, 2, {});
+            assert.strictEqual(destroyMeta.changes, 1);
+
+            const [count] = await bindingAdapter._count(schemaMapper, {}, {});
+            assert.strictEqual(count, 2);
+
+            assert.strictEqual(mockFetch.mock.calls.length, 0);
+        });
+
+        it('should pass session bookmarks through the binding', async () => {
+            const session = bindingAdapter.withSession('first-primary');
+            assert.strictEqual(session.bookmark, undefined);
+
+            await bindingAdapter._create(schemaMapper, {name: 'John', age: 30}, {session});
+            const created = session.bookmark;
+            await bindingAdapter._findAll(schemaMapper, {}, {session});
+            await bindingAdapter.transaction((tx) => tx.update(schemaMapper, 1, {age: 31}), {session});
+
+            const resumed = bindingAdapter.withSession(session.bookmark);
+            const [found] = await bindingAdapter._find(schemaMapper, 1, {session: resumed});
+
+            assert.strictEqual(found.age, 31);
+            assert.deepStrictEqual(binding.sessions, ['first-primary', created, '00000002', '00000003']);
+            assert.strictEqual(resumed.bookmark, '00000004');
+        });
+
+        it('should keep the newest bookmark', () => {
+            const session = bindingAdapter.withSession();
+            session.record('00000005');
+            session.record('00000003');
+            session.record(null);
+
+            assert.strictEqual(session.constraint, 'first-unconstrained');
+            assert.strictEqual(session.bookmark, '00000005');
+        });
+
+        it('should refuse sessions over the REST API', async () => {
+            const session = adapter.withSession('first-primary');
+
+            await assert.rejects(
+                async () => await adapter._findAll(testMapper, {}, {session}),
+                /D1 sessions require the Workers binding/
+            );
+            await assert.rejects(
+                async () => await adapter.transaction((tx) => tx.create(testMapper, {name: 'John'}), {session}),
+                /D1 sessions require the Workers binding/
+            );
+        });
+
+        it('should propagate binding errors', async () => {
+            await assert.rejects(
+                async () => await bindingAdapter._executeSQL('SELECT * FROM missing_table'),
+                /no such table/
+            );
+        });
+    });
+
+    describe('Executors', () => {
+        let sqliteAdapter;
+        let schemaMapper;
+
+        beforeEach(async () => {
+            mockFetch.mock.resetCalls();
+            schemaMapper = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        name: {type: 'string'},
+                        active: {type: 'boolean'},
+                    }
+                }
+            });
+            sqliteAdapter = await createSqliteAdapter();
+        });
+
+        it('should run generated SQL against local SQLite with D1-shaped meta', async () => {
+            const [created, createMeta] = await sqliteAdapter._create(schemaMapper, {name: 'John', active: true}, {});
+            assert.strictEqual(created.id, 1);
+            assert.strictEqual(createMeta.changes, 1);
+            assert.strictEqual(createMeta.last_row_id, 1);
+            assert.strictEqual(createMeta.changed_db, true);
+
+            const [records, findMeta] = await sqliteAdapter._findAll(schemaMapper, {where: {active: {'==': true}}}, {});
+            assert.deepStrictEqual(records, [{id: 1, name: 'John', active: true}]);
+            assert.strictEqual(findMeta.rows_read, 1);
+            assert.strictEqual(findMeta.changed_db, false);
+
+            assert.strictEqual(mockFetch.mock.calls.length, 0);
+        });
+
+        it('should update many records with a single batch', async () => {
+            await sqliteAdapter._createMany(schemaMapper, [{name: 'A'}, {name: 'B'}], {});
+
+            const [updated, meta] = await sqliteAdapter._updateMany(schemaMapper, [
+                {id: 1, name: 'A2'},
+                {id: 2, name: 'B2', active: false},
+            ], {});
+
+            assert.deepStrictEqual(updated, [
+                {id: 1, name: 'A2', active: null},
+                {id: 2, name: 'B2', active: false},
+            ]);
+            assert.deepStrictEqual(meta.updates.map(x => x.changes), [1, 1]);
+        });
+
+        it('should roll back the whole batch when a statement fails', async () => {
+            await sqliteAdapter._ensureTable(schemaMapper);
+
+            await assert.rejects(() => sqliteAdapter._executeBatch([
+                {sql: 'insert into user (name) values (?)', params: ['A']},
+                {sql: 'insert into missing_table (name) values (?)', params: ['B']},
+            ]), /no such table/);
+
+            const [count] = await sqliteAdapter._count(schemaMapper, {}, {});
+            assert.strictEqual(count, 0);
+        });
+
+        it('should accept any object implementing execute', async () => {
+            const calls = [];
+            const executor = {
+                async execute(sql, params) {
+                    calls.push({sql, params});
+                    return {results: [{count: 7}], meta: {}};
+                }
+            };
+            const customAdapter = new CloudflareAdapter({executor, autocreateTables: true});
+
+            const [count] = await customAdapter._count(testMapper, {where: {name: {'==': 'x'}}}, {});
+
+            assert.strictEqual(count, 7);
+            assert.deepStrictEqual(calls.at(-1), {sql: 'select count(*) as `count` from `user` where `name` = ?', params: ['x']});
+        });
+    });
+
+    describe('transaction', () => {
+        let txAdapter;
+        let Order;
+        let Product;
+
+        beforeEach(async () => {
+            Order = new Mapper({
+                name: 'purchase',
+                idAttribute: 'id',
+                schema: {properties: {id: {type: 'integer'}, product_id: {type: 'integer'}, amount: {type: 'integer'}}}
+            });
+            Product = new Mapper({
+                name: 'product',
+                idAttribute: 'id',
+                schema: {properties: {id: {type: 'integer'}, name: {type: 'string', unique: true}, stock: {type: 'integer'}}}
+            });
+            txAdapter = await createSqliteAdapter();
+            await txAdapter._create(Product, {name: 'Apple', stock: 10}, {});
+        });
+
+        it('should commit writes on several mappers as a single batch', async () => {
+            const batch = mock.method(txAdapter, '_executeBatch');
+
+            const results = await txAdapter.transaction((tx) => {
+                tx.create(Order, {product_id: 1, amount: 2});
+                tx.update(Product, 1, {stock: 8});
+                tx.destroyAll(Product, {where: {stock: {'<': 0}}});
+            });
+
+            assert.strictEqual(batch.mock.calls.length, 1);
+            assert.deepStrictEqual(results, [
+                {id: 1, product_id: 1, amount: 2},
+                {id: 1, name: 'Apple', stock: 8},
+                undefined,
+            ]);
+        });
+
+        it('should accept mapper of another js-data copy', async () => {
+            // Same shape, different prototype chain
+            const foreign = Object.assign(Object.create({}), Product);
+
+            const [created] = await txAdapter.transaction((tx) => tx.create(foreign, {name: 'Pear', stock: 1}));
+
+            assert.deepStrictEqual(created, {id: 2, name: 'Pear', stock: 1});
+            await assert.rejects(
+                () => txAdapter.transaction((tx) => tx.create(undefined, {})),
+                {message: 'create: mapper is required'}
+            );
+        });
+
+        it('should roll back everything and report failed statement', async () => {
+            await assert.rejects(
+                () => txAdapter.transaction((tx) => {
+                    tx.create(Order, {product_id: 1, amount: 2});
+                    tx.update(Product, 1, {stock: 8});
+                    tx.create(Product, {name: 'Apple', stock: 1});
+                }),
+                (error) => {
+                    assert.strictEqual(error.statementIndex, 2);
+                    assert.strictEqual(error.operationIndex, 2);
+                    assert.match(error.message, /statement #2 \(create on product\) failed: UNIQUE constraint failed/);
+                    return true;
+                }
+            );
+
+            const [orders] = await txAdapter._count(Order, {}, {});
+            const [product] = await txAdapter._find(Product, 1, {});
+            assert.strictEqual(orders, 0);
+            assert.strictEqual(product.stock, 10);
+        });
+
+        it('should not commit anything if callback throws', async () => {
+            const batch = mock.method(txAdapter, '_executeBatch');
+
+            await assert.rejects(() => txAdapter.transaction((tx) => {
+                tx.update(Product, 1, {stock: 0});
+                throw new Error('Out of stock');
+            }), {message: 'Out of stock'});
+
+            assert.strictEqual(batch.mock.calls.length, 0);
+        });
+
+        it('should refuse executor without batch support', async () => {
+            const sqlite = new SqliteExecutor(new Database(':memory:'));
+            const executor = {execute: (sql, params) => sqlite.execute(sql, params)};
+            const plainAdapter = new CloudflareAdapter({executor, autocreateTables: true});
+            await plainAdapter.ready;
+            const execute = mock.method(executor, 'execute');
+
+            await assert.rejects(() => plainAdapter.transaction((tx) => {
+                tx.create(Order, {product_id: 1, amount: 2});
+            }), /requires executor with batch support/);
+
+            assert.strictEqual(execute.mock.calls.length, 0);
+        });
+    });
+
+    describe('relations', () => {
+        let store;
+        let relAdapter;
+
+        beforeEach(async () => {
+            relAdapter = await createSqliteAdapter();
+
+            store = new DataStore();
+            store.registerAdapter('cloudflare', relAdapter, {default: true});
+            store.defineMapper('user', {
+                schema: {properties: {id: {type: 'integer'}, name: {type: 'string'}}},
+                relations: {
+                    hasMany: {post: {foreignKey: 'user_id', localField: 'posts'}},
+                    hasOne: {profile: {foreignKey: 'user_id', localField: 'profile'}},
+                }
+            });
+            store.defineMapper('profile', {
+                schema: {properties: {id: {type: 'integer'}, user_id: {type: 'integer'}, bio: {type: 'string'}}},
+                relations: {belongsTo: {user: {foreignKey: 'user_id', localField: 'user'}}}
+            });
+            store.defineMapper('post', {
+                schema: {properties: {id: {type: 'integer'}, user_id: {type: 'integer'}, title: {type: 'string'}}},
+                relations: {
+                    belongsTo: {user: {foreignKey: 'user_id', localField: 'user'}},
+                    hasMany: {comment: {foreignKey: 'post_id', localField: 'comments'}},
+                }
+            });
+            store.defineMapper('comment', {
+                schema: {properties: {id: {type: 'integer'}, post_id: {type: 'integer'}, text: {type: 'string'}}},
+                relations: {belongsTo: {post: {foreignKey: 'post_id', localField: 'post'}}}
+            });
+
+            await relAdapter._createMany(store.getMapper('user'), [{name: 'Ann'}, {name: 'Bob'}], {});
+            await relAdapter._createMany(store.getMapper('profile'), [{user_id: 2, bio: 'Bob bio'}], {});
+            await relAdapter._createMany(store.getMapper('post'), [
+                {user_id: 1, title: 'Ann 1'},
+                {user_id: 1, title: 'Ann 2'},
+                {user_id: 2, title: 'Bob 1'},
+            ], {});
+            await relAdapter._createMany(store.getMapper('comment'), [{post_id: 1, text: 'Nice'}, {post_id: 3, text: 'Ok'}], {});
+        });
+
+        it('should load nested hasMany relations with parents', async () => {
+            const user = await store.find('user', 1, {with: ['post.comment']});
+
+            assert.deepStrictEqual(user.posts.map(x => x.title), ['Ann 1', 'Ann 2']);
+            assert.deepStrictEqual(user.posts[0].comments.map(x => x.text), ['Nice']);
+            assert.deepStrictEqual(user.posts[1].comments, []);
+        });
+
+        it('should load belongsTo and hasOne with a single IN query per relation', async () => {
+            const execute = mock.method(relAdapter, '_executeSQL');
+
+            const posts = await store.findAll('post', {}, {with: ['user.profile']});
+
+            assert.deepStrictEqual(posts.map(x => x.user.name), ['Ann', 'Ann', 'Bob']);
+            assert.strictEqual(posts[2].user.profile.bio, 'Bob bio');
+            // posts + users + profiles
+            assert.strictEqual(execute.mock.calls.length, 3);
+            assert.match(execute.mock.calls[1].arguments[0], /where `id` in \(\?, \?, \?\)/);
+        });
+
+        it('should pass long key lists as a single parameter', async () => {
+            const users = await relAdapter._createMany(store.getMapper('user'), Array.from({length: 150}, (_, i) => ({name: `User ${i}`})), {});
+            const execute = mock.method(relAdapter, '_executeSQL');
+
+            const loaded = await store.findAll('user', {}, {with: ['post']});
+
+            assert.strictEqual(loaded.length, 152);
+            assert.strictEqual(loaded[1].posts.length, 1);
+            const [sql, params] = execute.mock.calls[1].arguments;
+            assert.match(sql, /`user_id` in \(select value from json_each\(\?\)\)/);
+            assert.strictEqual(params.length, 1);
+        });
+    });
+
+    describe('JSON columns', () => {
+        let jsonAdapter;
+        let db;
+        let Doc;
+
+        beforeEach(async () => {
+            db = new Database(':memory:');
+            jsonAdapter = await createSqliteAdapter({executor: new SqliteExecutor(db)});
+            Doc = new Mapper({
+                name: 'doc',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        title: {type: 'string'},
+                        meta: {type: ['object', 'null']},
+                        tags: {type: 'array'},
+                    }
+                }
+            });
+        });
+
+        it('should store objects and arrays as JSON and parse them back', async () => {
+            const [created] = await jsonAdapter._create(Doc, {title: 'A', meta: {a: {b: 1}}, tags: ['x', 'y']}, {});
+            await jsonAdapter._createMany(Doc, [{title: 'B', meta: null, tags: []}], {});
+
+            assert.deepStrictEqual(created.meta, {a: {b: 1}});
+            assert.deepStrictEqual(
+                db.prepare('select meta, tags from doc where id = 1').get(),
+                {meta: '{"a":{"b":1}}', tags: '["x","y"]'}
+            );
+
+            const [found] = await jsonAdapter._find(Doc, 1, {});
+            assert.deepStrictEqual(found, {id: 1, title: 'A', meta: {a: {b: 1}}, tags: ['x', 'y']});
+
+            const [all] = await jsonAdapter._findAll(Doc, {}, {});
+            assert.deepStrictEqual(all[1], {id: 2, title: 'B', meta: null, tags: []});
+        });
+
+        it('should serialize JSON fields on update paths', async () => {
+            await jsonAdapter._createMany(Doc, [{title: 'A', tags: []}, {title: 'B', tags: []}], {});
+
+            const [updated] = await jsonAdapter._update(Doc, 1, {meta: {v: 2}}, {});
+            assert.deepStrictEqual(updated.meta, {v: 2});
+
+            const [many] = await jsonAdapter._updateMany(Doc, [{id: 2, tags: ['z']}], {});
+            assert.deepStrictEqual(many[0].tags, ['z']);
+
+            await jsonAdapter._updateAll(Doc, {meta: {all: true}}, {}, {});
+            const [all] = await jsonAdapter._findAll(Doc, {}, {});
+            assert.deepStrictEqual(all.map(x => x.meta), [{all: true}, {all: true}]);
+        });
+    });
+
+    describe('type coercion', () => {
+        let typedAdapter;
+        let db;
+        let Event;
+
+        beforeEach(async () => {
+            db = new Database(':memory:');
+            typedAdapter = await createSqliteAdapter({executor: new SqliteExecutor(db)});
+            Event = new Mapper({
+                name: 'event',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        published: {type: 'boolean'},
+                        price: {type: 'number'},
+                        starts_at: {type: 'string', format: 'date-time'},
+                        created_at: {type: 'integer', format: 'date-time'},
+                    }
+                }
+            });
+        });
+
+        it('should map number to REAL and integer to INTEGER', () => {
+            const sql = createTableSql(Event, 'event');
+            assert.match(sql, /"price" REAL/);
+            assert.match(sql, /"id" INTEGER PRIMARY KEY AUTOINCREMENT/);
+        });
+
+        it('should convert booleans, dates and numbers to and from storage', async () => {
+            const date = new Date('2024-05-01T10:00:00.000Z');
+            await typedAdapter._create(Event, {published: true, price: 9.5, starts_at: date, created_at: date}, {});
+
+            assert.deepStrictEqual(
+                db.prepare('select published, price, starts_at, created_at from event').get(),
+                {published: 1, price: 9.5, starts_at: '2024-05-01T10:00:00.000Z', created_at: date.getTime()}
+            );
+
+            const [found] = await typedAdapter._find(Event, 1, {});
+            assert.deepStrictEqual(found, {
+                id: 1,
+                published: true,
+                price: 9.5,
+                starts_at: '2024-05-01T10:00:00.000Z',
+                created_at: date.getTime(),
+            });
+
+            const [updated] = await typedAdapter._update(Event, 1, {published: false, created_at: '2024-05-02T00:00:00Z'}, {});
+            assert.strictEqual(updated.published, false);
+            assert.strictEqual(updated.created_at, Date.parse('2024-05-02T00:00:00Z'));
+        });
+
+        it('should encode compared values like stored ones', async () => {
+            const date = new Date('2024-05-01T10:00:00.000Z');
+            await typedAdapter._createMany(Event, [
+                {published: true, starts_at: date, created_at: date},
+                {published: false, starts_at: new Date('2024-06-01T00:00:00Z'), created_at: new Date('2024-06-01T00:00:00Z')},
+            ], {});
+
+            const ids = async (where) => (await typedAdapter._findAll(Event, {where}, {}))[0].map(x => x.id);
+            assert.deepStrictEqual(await ids({created_at: {'==': '2024-05-01T10:00:00.000Z'}}), [1]);
+            assert.deepStrictEqual(await ids({created_at: {'<': date}}), []);
+            assert.deepStrictEqual(await ids({created_at: {'in': [date, '2024-06-01T00:00:00Z']}}), [1, 2]);
+            assert.deepStrictEqual(await ids({created_at: {'between': [date, new Date('2024-05-31T00:00:00Z')]}}), [1]);
+            assert.deepStrictEqual(await ids({starts_at: {'>': date}}), [2]);
+            assert.deepStrictEqual(await ids({published: true}), [1]);
+            assert.deepStrictEqual(await ids({published: {'!=': true}}), [2]);
+        });
+    });
+
+    describe('migrate', () => {
+        let db;
+        let Item;
+
+        beforeEach(() => {
+            db = new Database(':memory:');
+            db.exec('CREATE TABLE item (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, legacy TEXT, price TEXT)');
+            Item = new Mapper({
+                name: 'item',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        name: {type: 'string'},
+                        price: {type: 'number'},
+                        stock: {type: 'integer', default: 0},
+                        sku: {type: 'string', unique: true},
+                    }
+                }
+            });
+        });
+
+        it('should add missing columns and report destructive differences', async () => {
+            const migrateAdapter = new CloudflareAdapter({executor: new SqliteExecutor(db)});
+            const warn = mock.method(migrateAdapter, 'log', () => {});
+
+            const dryPlan = await migrateAdapter.migrate(Item, {dryRun: true});
+            assert.deepStrictEqual(dryPlan.statements, [
+                {sql: 'ALTER TABLE "item" ADD COLUMN "stock" INTEGER DEFAULT 0', params: []},
+            ]);
+            assert.strictEqual(db.prepare('select * from pragma_table_info(\'item\')').all().length, 4);
+
+            const plan = await migrateAdapter.migrate(Item);
+
+            assert.deepStrictEqual(plan.add.map(x => x.column), ['stock']);
+            assert.deepStrictEqual(plan.drop, [{column: 'legacy'}]);
+            assert.deepStrictEqual(plan.retype, [{column: 'price', from: 'TEXT', to: 'REAL'}]);
+            assert.deepStrictEqual(plan.manual.map(x => x.column), ['sku']);
+            assert.deepStrictEqual(
+                db.prepare('select name from pragma_table_info(\'item\')').all().map(x => x.name),
+                ['id', 'name', 'legacy', 'price', 'stock']
+            );
+            assert.ok(warn.mock.calls.some(x => x.arguments[0] === 'warn'));
+        });
+
+        it('should migrate tables before first use with automigrateTables', async () => {
+            delete Item.schema.properties.sku;
+            const migrateAdapter = new CloudflareAdapter({executor: new SqliteExecutor(db), automigrateTables: true});
+            mock.method(migrateAdapter, 'log', () => {});
+
+            const [created] = await migrateAdapter._create(Item, {name: 'Pen', stock: 5}, {});
+            const [found] = await migrateAdapter._find(Item, created.id, {});
+
+            assert.strictEqual(found.stock, 5);
+        });
+
+        it('should quote reserved words in generated DDL', async () => {
+            const Order = new Mapper({
+                name: 'order',
+                idAttribute: 'id',
+                indexes: ['group'],
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        group: {type: 'string', default: 'it\'s'},
+                        select: {type: 'string', searchable: true},
+                    }
+                }
+            });
+            const orderAdapter = new CloudflareAdapter({executor: new SqliteExecutor(db)});
+            mock.method(orderAdapter, 'log', () => {});
+
+            await orderAdapter.migrate(Order);
+            Order.schema.properties.limit = {type: 'integer'};
+            const plan = await orderAdapter.migrate(Order);
+            assert.deepStrictEqual(plan.add.map(x => x.column), ['limit']);
+
+            await orderAdapter._create(Order, {select: 'red shoes', limit: 2}, {});
+            const [found] = await orderAdapter._findAll(Order, {where: {select: {search: 'shoes'}}}, {});
+            assert.deepStrictEqual(found.map(x => [x.group, x.limit]), [['it\'s', 2]]);
+            assert.deepStrictEqual(
+                db.prepare('select name from pragma_index_list(\'order\')').all().map(x => x.name),
+                ['order_group_idx']
+            );
+        });
+    });
+
+    describe('indexes', () => {
+        let Account;
+
+        beforeEach(() => {
+            Account = new Mapper({
+                name: 'account',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        email: {type: 'string'},
+                        first_name: {type: 'string'},
+                        last_name: {type: 'string'},
+                        deleted_at: {type: 'string'},
+                    }
+                },
+                indexes: [
+                    'email',
+                    ['last_name', 'first_name'],
+                    {columns: ['email'], unique: true, where: 'deleted_at IS NULL', name: 'account_live_email'},
+                ],
+            });
+        });
+
+        it('should build single, composite, unique and partial indexes', () => {
+            assert.deepStrictEqual(indexDefinitions(Account, 'account').map(x => x.sql), [
+                'CREATE INDEX IF NOT EXISTS "account_email_idx" ON "account" ("email")',
+                'CREATE INDEX IF NOT EXISTS "account_last_name_first_name_idx" ON "account" ("last_name", "first_name")',
+                'CREATE UNIQUE INDEX IF NOT EXISTS "account_live_email" ON "account" ("email") WHERE deleted_at IS NULL',
+            ]);
+        });
+
+        it('should create indexes together with the table', async () => {
+            const db = new Database(':memory:');
+            const indexAdapter = await createSqliteAdapter({executor: new SqliteExecutor(db)});
+
+            await indexAdapter._create(Account, {email: 'a@b.c'}, {});
+
+            await assert.rejects(() => indexAdapter._create(Account, {email: 'a@b.c'}, {}), /UNIQUE constraint failed/);
+            await indexAdapter._create(Account, {email: 'a@b.c', deleted_at: '2024-01-01'}, {});
+            assert.strictEqual(db.prepare("select count(*) as c from pragma_index_list('account')").get().c, 3);
+        });
+
+        it('should create missing indexes during migration', async () => {
+            const db = new Database(':memory:');
+            db.exec('CREATE TABLE account (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT, first_name TEXT, last_name TEXT, deleted_at TEXT)');
+            db.exec('CREATE INDEX account_email_idx ON account (email)');
+            const migrateAdapter = new CloudflareAdapter({executor: new SqliteExecutor(db)});
+
+            const plan = await migrateAdapter.migrate(Account);
+
+            assert.deepStrictEqual(plan.indexes, ['account_last_name_first_name_idx', 'account_live_email']);
+            assert.strictEqual(db.prepare("select count(*) as c from pragma_index_list('account')").get().c, 3);
+        });
+    });
+
+    describe('retries', () => {
+        let retryAdapter;
+
+        const htmlError = (status, headers = {}) => ({
+            status,
+            headers: new Headers(headers),
+            json: async () => JSON.parse('<html>Bad gateway</html>'),
+        });
+        const success = (result) => ({
+            status: 200,
+            json: async () => ({success: true, result: [result], errors: [], messages: []}),
+        });
+
+        beforeEach(() => {
+            retryAdapter = new CloudflareAdapter({
+                accountId: 'test-account-id',
+                databaseId: 'test-database-id',
+                token: 'test-token',
+                retry: {minTimeout: 1, maxTimeout: 5},
+            });
+            mockFetch.mock.resetCalls();
+        });
+
+        it('should retry idempotent reads on transient failures', async () => {
+            const responses = [
+                () => htmlError(503),
+                () => {
+                    throw new TypeError('fetch failed');
+                },
+                () => success({results: [{id: 1}], meta: {}}),
+            ];
+            mockFetch.mock.mockImplementation(async () => responses.shift()());
+            const dbg = mock.method(retryAdapter, 'dbg');
+
+            const result = await retryAdapter._executeSQL('SELECT * FROM user');
+
+            assert.deepStrictEqual(result.results, [{id: 1}]);
+            assert.strictEqual(mockFetch.mock.calls.length, 3);
+            assert.strictEqual(dbg.mock.calls.filter(x => x.arguments[0] === 'HTTP Retry').length, 2);
+        });
+
+        it('should not retry writes unless enabled', async () => {
+            mockFetch.mock.mockImplementation(async () => htmlError(502));
+
+            await assert.rejects(
+                () => retryAdapter._executeSQL('INSERT INTO user (name) VALUES (?)', ['x']),
+                {message: 'Unexpected response from Cloudflare API, HTTP 502'}
+            );
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+
+            retryAdapter.retry.writes = true;
+            mockFetch.mock.resetCalls();
+            await assert.rejects(() => retryAdapter._executeSQL('INSERT INTO user (name) VALUES (?)', ['x']));
+            assert.strictEqual(mockFetch.mock.calls.length, RETRY_DEFAULTS.retries + 1);
+        });
+
+        it('should give up on non-transient statuses at once', async () => {
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 400,
+                json: async () => ({success: false, errors: [{code: 7500, message: 'near "x": syntax error'}], messages: []}),
+            }));
+
+            await assert.rejects(() => retryAdapter._executeSQL('SELECT x FROM'), {message: 'near "x": syntax error'});
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+        });
+
+        it('should back off exponentially and honour Retry-After', () => {
+            const retry = {...RETRY_DEFAULTS, minTimeout: 100, maxTimeout: 1000};
+
+            const first = retryDelay(1, retry);
+            const third = retryDelay(3, retry);
+            const capped = retryDelay(10, retry);
+
+            assert.ok(first >= 50 && first <= 100);
+            assert.ok(third >= 200 && third <= 400);
+            assert.ok(capped >= 500 && capped <= 1000);
+            assert.strictEqual(retryDelay(1, retry, '0.5'), 500);
+            assert.strictEqual(retryDelay(1, retry, '3'), 1000);
+        });
+
+        it('should not wait for Retry-After longer than maxTimeout', async () => {
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 429,
+                headers: new Headers({'Retry-After': '60'}),
+                json: async () => ({success: false, errors: [{code: 429, message: 'Too many requests'}], messages: []}),
+            }));
+
+            await assert.rejects(
+                () => retryAdapter._executeSQL('SELECT * FROM user'),
+                (error) => error instanceof RateLimitError && error.retryAfter === 60000
+            );
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+        });
+    });
+
+    describe('errors', () => {
+        let errorAdapter;
+        let User;
+
+        beforeEach(async () => {
+            User = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {properties: {id: {type: 'integer'}, email: {type: 'string', unique: true}}}
+            });
+            errorAdapter = await createSqliteAdapter();
+            await errorAdapter._create(User, {email: 'a@example.com'}, {});
+        });
+
+        it('should raise ConstraintError with failed column', async () => {
+            await assert.rejects(() => errorAdapter._create(User, {email: 'a@example.com'}, {}), (error) => {
+                assert.ok(error instanceof ConstraintError);
+                assert.ok(error instanceof D1Error);
+                assert.strictEqual(error.constraint, 'UNIQUE');
+                assert.strictEqual(error.table, 'user');
+                assert.strictEqual(error.column, 'email');
+                assert.match(error.sql, /^insert into/);
+                assert.deepStrictEqual(error.bindings, ['a@example.com']);
+                return true;
+            });
+        });
+
+        it('should raise NotFoundTableError and SqlSyntaxError', async () => {
+            await assert.rejects(() => errorAdapter._executeSQL('SELECT * FROM missing'), (error) => {
+                assert.ok(error instanceof NotFoundTableError);
+                assert.strictEqual(error.table, 'missing');
+                return true;
+            });
+            await assert.rejects(() => errorAdapter._executeSQL('SELECT FROM WHERE'), SqlSyntaxError);
+
+            const strictAdapter = new CloudflareAdapter({executor: new SqliteExecutor(new Database(':memory:')), autocreateTables: false});
+            const Missing = new Mapper({name: 'missing', idAttribute: 'id'});
+            await assert.rejects(() => strictAdapter._create(Missing, {}, {}), (error) => {
+                assert.ok(error instanceof NotFoundTableError);
+                assert.ok(error instanceof D1Error);
+                assert.strictEqual(error.table, 'missing');
+                return true;
+            });
+        });
+
+        it('should find existing tables before listing is done', async () => {
+            const db = new Database(':memory:');
+            db.exec('CREATE TABLE user (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT)');
+            db.exec("INSERT INTO user (email) VALUES ('a@example.com')");
+
+            // Not awaiting `ready`, as a Worker creating adapter per request
+            const [found] = await new CloudflareAdapter({executor: new SqliteExecutor(db)})._find(User, 1, {});
+            const [created] = await new CloudflareAdapter({executor: new SqliteExecutor(db)})._create(User, {email: 'b@example.com'}, {});
+
+            assert.strictEqual(found.email, 'a@example.com');
+            assert.strictEqual(created.id, 2);
+        });
+
+        it('should keep error class on failed transaction', async () => {
+            await assert.rejects(
+                () => errorAdapter.transaction((tx) => tx.create(User, {email: 'a@example.com'})),
+                (error) => {
+                    assert.ok(error instanceof ConstraintError);
+                    assert.strictEqual(error.column, 'email');
+                    assert.strictEqual(error.operationIndex, 0);
+                    return true;
+                }
+            );
+        });
+
+        it('should map REST API failures', async () => {
+            const restAdapter = new CloudflareAdapter({
+                accountId: 'test-account-id',
+                databaseId: 'test-database-id',
+                token: 'test-token',
+                retry: {retries: 0},
+            });
+            const errors = [{code: 10000, message: 'Authentication error'}];
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 401,
+                json: async () => ({success: false, errors, messages: []}),
+            }));
+
+            await assert.rejects(() => restAdapter._executeSQL('SELECT * FROM user'), (error) => {
+                assert.ok(error instanceof AuthError);
+                assert.strictEqual(error.status, 401);
+                assert.deepStrictEqual(error.errors, errors);
+                return true;
+            });
+
+            mockFetch.mock.mockImplementation(async () => ({
+                status: 429,
+                headers: new Headers({'Retry-After': '2'}),
+                json: async () => ({success: false, errors: [{code: 971, message: 'Too many requests'}], messages: []}),
+            }));
+
+            await assert.rejects(() => restAdapter._executeSQL('SELECT * FROM user'), (error) => {
+                assert.ok(error instanceof RateLimitError);
+                assert.strictEqual(error.retryAfter, 2000);
+                assert.strictEqual(error.sql, 'SELECT * FROM user');
+                return true;
+            });
+        });
+    });
+
+    describe('query operators', () => {
+        let opAdapter;
+        let User;
+
+        const names = async (where) => {
+            const [users] = await opAdapter._findAll(User, {where, orderBy: [['id', 'ASC']]}, {});
+            return users.map(x => x.name);
+        };
+
+        beforeEach(async () => {
+            User = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {properties: {id: {type: 'integer'}, name: {type: 'string'}, age: {type: 'integer'}}}
+            });
+            opAdapter = await createSqliteAdapter();
+            await opAdapter._createMany(User, [
+                {name: 'Alice', age: 30},
+                {name: 'alfred', age: 17},
+                {name: 'Bob_1', age: null},
+                {name: 'bob', age: 45},
+            ], {});
+        });
+
+        it('should match like case-sensitively and ilike case-insensitively', async () => {
+            assert.deepStrictEqual(await names({name: {like: 'Al%'}}), ['Alice']);
+            assert.deepStrictEqual(await names({name: {ilike: 'al%'}}), ['Alice', 'alfred']);
+            assert.deepStrictEqual(await names({name: {notLike: 'b%'}}), ['Alice', 'alfred', 'Bob_1']);
+            assert.deepStrictEqual(await names({name: {like: 'bo_'}}), ['bob']);
+        });
+
+        it('should match startsWith and endsWith literally', async () => {
+            assert.deepStrictEqual(await names({name: {startsWith: 'Bob_'}}), ['Bob_1']);
+            assert.deepStrictEqual(await names({name: {endsWith: 'ce'}}), ['Alice']);
+        });
+
+        it('should support null checks and between', async () => {
+            assert.deepStrictEqual(await names({age: {'==': null}}), ['Bob_1']);
+            assert.deepStrictEqual(await names({age: {'!=': null}}), ['Alice', 'alfred', 'bob']);
+            assert.deepStrictEqual(await names({age: {isNull: true}}), ['Bob_1']);
+            assert.deepStrictEqual(await names({age: {isNotNull: true, between: [18, 40]}}), ['Alice']);
+            assert.deepStrictEqual(await names({name: 'bob'}), ['bob']);
+        });
+
+        it('should support OR and nested groups', async () => {
+            assert.deepStrictEqual(
+                await names([{name: {'==': 'bob'}}, 'or', [{age: {'>': 18}}, 'and', {name: {startsWith: 'A'}}]]),
+                ['Alice', 'bob']
+            );
+            // evaluated left to right, like js-data: (age < 18 OR age > 40) AND name starts with "b"
+            assert.deepStrictEqual(
+                await names([{age: {'<': 18}}, 'or', {age: {'>': 40}}, 'and', {name: {startsWith: 'b'}}]),
+                ['bob']
+            );
+            assert.deepStrictEqual(await names({name: {'==': 'Alice', '|==': 'bob'}}), ['Alice', 'bob']);
+        });
+
+        it('should reject unknown operators', async () => {
+            await assert.rejects(() => names({age: {'~=': 1}}), {message: 'Unknown operator ~= for age'});
+            await assert.rejects(() => names({age: {between: 18}}), {message: 'between: expected [from, to] for age'});
+        });
+    });
+
+    describe('projection', () => {
+        let projAdapter;
+        let User;
+
+        beforeEach(async () => {
+            User = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        name: {type: 'string'},
+                        role: {type: 'string'},
+                        settings: {type: 'object'},
+                    }
+                }
+            });
+            projAdapter = await createSqliteAdapter();
+            await projAdapter._createMany(User, [
+                {name: 'Alice', role: 'admin', settings: {theme: 'dark'}},
+                {name: 'Bob', role: 'user', settings: {}},
+                {name: 'Carol', role: 'user', settings: {}},
+            ], {});
+        });
+
+        it('should select only requested fields and always the id', async () => {
+            const [users] = await projAdapter._findAll(User, {orderBy: [['id', 'ASC']]}, {fields: ['name']});
+            assert.deepStrictEqual(users[0], {id: 1, name: 'Alice'});
+
+            const [selected] = await projAdapter._findAll(User, {select: ['settings'], where: {name: 'Alice'}}, {});
+            assert.deepStrictEqual(selected, [{id: 1, settings: {theme: 'dark'}}]);
+
+            const [user] = await projAdapter._find(User, 2, {fields: ['role']});
+            assert.deepStrictEqual(user, {id: 2, role: 'user'});
+        });
+
+        it('should select distinct values', async () => {
+            const [roles] = await projAdapter._findAll(User, {select: ['role'], distinct: true, orderBy: [['role', 'ASC']]}, {});
+            assert.deepStrictEqual(roles, [{role: 'admin'}, {role: 'user'}]);
+        });
+
+        it('should reject fields missing from schema', async () => {
+            await assert.rejects(
+                () => projAdapter._findAll(User, {}, {fields: ['name', 'password']}),
+                {message: 'Unknown fields for user: password'}
+            );
+        });
+    });
+
+    describe('iterate', () => {
+        let iterAdapter;
+        let User;
+
+        const collect = async (query, opts) => {
+            const result = [];
+            for await (const user of iterAdapter.iterate(User, query, opts)) {
+                result.push(user);
+            }
+            return result;
+        };
+
+        beforeEach(async () => {
+            User = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {properties: {id: {type: 'integer'}, name: {type: 'string'}, age: {type: 'integer'}, active: {type: 'boolean'}}}
+            });
+            iterAdapter = await createSqliteAdapter();
+            await iterAdapter._createMany(User, [
+                {name: 'a', age: 30, active: true},
+                {name: 'b', age: null, active: true},
+                {name: 'c', age: 30, active: false},
+                {name: 'd', age: 20, active: true},
+                {name: 'e', age: 40, active: true},
+            ], {});
+        });
+
+        it('should page by keyset instead of offset', async () => {
+            const execute = mock.method(iterAdapter, '_executeSQL');
+
+            const users = await collect({}, {batchSize: 2});
+
+            assert.deepStrictEqual(users.map(x => x.name), ['a', 'b', 'c', 'd', 'e']);
+            assert.strictEqual(users[0].active, true);
+            const pages = execute.mock.calls.map(x => x.arguments);
+            assert.strictEqual(pages.length, 3);
+            assert.ok(pages.every(([sql]) => !sql.includes('offset')));
+            assert.match(pages[1][0], /`id` > \?/);
+            assert.deepStrictEqual(pages[1][1], [2, 2]);
+        });
+
+        it('should respect filters, order, limit and offset', async () => {
+            const byAge = await collect({where: {active: {'==': true}}, orderBy: [['age', 'DESC']]}, {batchSize: 1});
+            assert.deepStrictEqual(byAge.map(x => x.name), ['e', 'a', 'd', 'b']);
+
+            const limited = await collect({orderBy: [['age', 'ASC']], offset: 1, limit: 3}, {batchSize: 2});
+            assert.deepStrictEqual(limited.map(x => x.name), ['d', 'a', 'c']);
+        });
+
+        it('should keep sort keys when fields are limited', async () => {
+            const users = await collect({orderBy: [['age', 'ASC']]}, {batchSize: 2, fields: ['name']});
+            assert.deepStrictEqual(users.map(x => x.name), ['b', 'd', 'a', 'c', 'e']);
+            assert.deepStrictEqual(Object.keys(users[0]).sort(), ['age', 'id', 'name']);
+        });
+    });
+
+    describe('aggregates', () => {
+        let aggAdapter;
+        let Order;
+
+        beforeEach(async () => {
+            Order = new Mapper({
+                name: 'purchase',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        status: {type: 'string'},
+                        amount: {type: 'number'},
+                        gift: {type: 'boolean'},
+                        created_at: {type: 'integer', format: 'date-time'},
+                    }
+                }
+            });
+            aggAdapter = await createSqliteAdapter();
+            await aggAdapter._createMany(Order, [
+                {status: 'paid', amount: 10, gift: true, created_at: '2024-05-01T10:00:00Z'},
+                {status: 'paid', amount: 30, gift: false, created_at: '2024-05-01T18:00:00Z'},
+                {status: 'new', amount: 5, gift: true, created_at: '2024-05-02T09:00:00Z'},
+                {status: 'paid', amount: 20, gift: false, created_at: '2024-05-02T12:00:00Z'},
+            ], {});
+        });
+
+        it('should compute avg, min and max', async () => {
+            assert.strictEqual(await aggAdapter.avg(Order, 'amount', {where: {status: 'paid'}}), 20);
+            assert.strictEqual(await aggAdapter.min(Order, 'amount'), 5);
+            assert.strictEqual(await aggAdapter.max(Order, 'created_at'), Date.parse('2024-05-02T12:00:00Z'));
+            assert.strictEqual(await aggAdapter.max(Order, 'amount', {where: {status: 'void'}}), null);
+        });
+
+        it('should quote summed field', async () => {
+            const execute = mock.method(aggAdapter, '_executeSQL');
+
+            await assert.rejects(() => aggAdapter._sum(Order, 'amount) from sqlite_master --', {}, {}));
+
+            assert.match(execute.mock.calls[0].arguments[0], /^select sum\(`amount\) from sqlite_master --`\) as `sum`/);
+        });
+
+        it('should aggregate per group with having and order', async () => {
+            const rows = await aggAdapter.aggregate(Order, {
+                groupBy: ['status', {day: {day: 'created_at'}}],
+                aggregates: {orders: {count: '*'}, revenue: {sum: 'amount'}},
+            }, {orderBy: [['day', 'ASC'], ['status', 'ASC']]});
+
+            assert.deepStrictEqual(rows, [
+                {status: 'paid', day: '2024-05-01', orders: 2, revenue: 40},
+                {status: 'new', day: '2024-05-02', orders: 1, revenue: 5},
+                {status: 'paid', day: '2024-05-02', orders: 1, revenue: 20},
+            ]);
+
+            const busy = await aggAdapter.aggregate(Order, {
+                groupBy: 'status',
+                aggregates: {orders: {count: '*'}, biggest: {max: 'amount'}},
+                having: {orders: {'>': 1}},
+            }, {where: {amount: {'>': 5}}});
+
+            assert.deepStrictEqual(busy, [{status: 'paid', orders: 3, biggest: 30}]);
+        });
+
+        it('should decode only plain group columns', async () => {
+            const rows = await aggAdapter.aggregate(Order, {
+                groupBy: ['gift', {created_at: {month: 'created_at'}}],
+                aggregates: {status: {count: 'status'}, amount: {sum: 'amount'}},
+            }, {orderBy: [['gift', 'ASC']]});
+
+            assert.deepStrictEqual(rows, [
+                {gift: false, created_at: '2024-05', status: 2, amount: 50},
+                {gift: true, created_at: '2024-05', status: 2, amount: 15},
+            ]);
+
+            const [counted] = await aggAdapter.aggregate(Order, {aggregates: {gift: {count: 'gift'}}});
+            assert.deepStrictEqual(counted, {gift: 4});
+        });
+
+        it('should reject unknown aggregates and fields', async () => {
+            await assert.rejects(
+                () => aggAdapter.aggregate(Order, {aggregates: {x: {median: 'amount'}}}),
+                /Unknown aggregate median/
+            );
+            await assert.rejects(
+                () => aggAdapter.aggregate(Order, {groupBy: ['secret']}),
+                {message: 'Unknown fields for purchase: secret'}
+            );
+        });
+    });
+
+    describe('upsert', () => {
+        let upsertAdapter;
+        let User;
+
+        beforeEach(async () => {
+            User = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        email: {type: 'string', unique: true},
+                        name: {type: 'string'},
+                        active: {type: 'boolean'},
+                    }
+                }
+            });
+            upsertAdapter = await createSqliteAdapter();
+            await upsertAdapter._create(User, {email: 'a@example.com', name: 'Alice', active: false}, {});
+        });
+
+        it('should insert or update in a single batch and return stored record', async () => {
+            const batch = mock.method(upsertAdapter, '_executeBatch');
+
+            const updated = await upsertAdapter.upsert(User, {email: 'a@example.com', active: true}, {conflictTarget: 'email'});
+            const inserted = await upsertAdapter.upsert(User, {email: 'b@example.com', name: 'Bob'}, {conflictTarget: 'email'});
+
+            assert.strictEqual(batch.mock.calls.length, 2);
+            // Merging insert returns stored rows itself, no read-back is needed
+            assert.strictEqual(batch.mock.calls[0].arguments[0].length, 1);
+            assert.match(batch.mock.calls[0].arguments[0][0].sql, /on conflict \(`email`\) do update set `active` = excluded.`active` returning \*/);
+            assert.deepStrictEqual(updated, {id: 1, email: 'a@example.com', name: 'Alice', active: true});
+            // AUTOINCREMENT id is consumed by the conflicting insert as well
+            assert.deepStrictEqual({...inserted, id: undefined}, {id: undefined, email: 'b@example.com', name: 'Bob', active: null});
+            assert.ok(inserted.id > 1);
+        });
+
+        it('should update only merge columns or do nothing', async () => {
+            const [kept] = await upsertAdapter.upsertMany(User, [
+                {email: 'a@example.com', name: 'Ann', active: true},
+            ], {conflictTarget: ['email'], merge: ['active']});
+            assert.deepStrictEqual(kept, {id: 1, email: 'a@example.com', name: 'Alice', active: true});
+
+            const users = await upsertAdapter.upsertMany(User, [
+                {email: 'c@example.com', name: 'Carol'},
+                {email: 'a@example.com', name: 'Ann'},
+            ], {conflictTarget: 'email', merge: false});
+            assert.deepStrictEqual(users.map(x => x.name), ['Carol', 'Alice']);
+        });
+
+        it('should upsert by id by default', async () => {
+            const user = await upsertAdapter.upsert(User, {id: 1, email: 'a@example.com', name: 'Ann'});
+            assert.strictEqual(user.name, 'Ann');
+
+            await assert.rejects(
+                () => upsertAdapter.upsert(User, {email: 'x@example.com'}),
+                {message: 'upsert: id is required to detect conflicts'}
+            );
+        });
+
+        it('should return records upserted by string id', async () => {
+            const Tag = new Mapper({name: 'tag', idAttribute: 'id', schema: {properties: {id: {type: 'integer'}, name: {type: 'string'}}}});
+            await upsertAdapter._create(Tag, {name: 'old'}, {});
+
+            const user = await upsertAdapter.upsert(User, {id: '1', email: 'a@example.com', name: 'Ann'});
+            const [tag, created] = await upsertAdapter.upsertMany(Tag, [{id: '1', name: 'new'}, {id: '7', name: 'other'}]);
+
+            assert.deepStrictEqual([user.id, user.name], [1, 'Ann']);
+            assert.deepStrictEqual([tag.id, tag.name, created.id], [1, 'new', 7]);
+        });
+    });
+
+    describe('returning', () => {
+        let retAdapter;
+        let User;
+
+        beforeEach(async () => {
+            User = new Mapper({
+                name: 'user',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        name: {type: 'string'},
+                        role: {type: 'string', default: 'user'},
+                        active: {type: 'boolean'},
+                    }
+                }
+            });
+            retAdapter = await createSqliteAdapter();
+        });
+
+        it('should return stored rows with generated ids and defaults', async () => {
+            const execute = mock.method(retAdapter, '_executeBatch');
+
+            const [created, meta] = await retAdapter._createMany(User, [{name: 'a'}, {name: 'b', active: true}], {});
+
+            assert.deepStrictEqual(created, [
+                {id: 1, name: 'a', role: 'user', active: null},
+                {id: 2, name: 'b', role: 'user', active: true},
+            ]);
+            assert.strictEqual(meta.changes, 2);
+            assert.strictEqual(execute.mock.calls.length, 1);
+        });
+
+        it('should return updated rows from update and updateAll', async () => {
+            await retAdapter._createMany(User, [{name: 'a'}, {name: 'b'}, {name: 'c'}], {});
+            const execute = mock.method(retAdapter, '_executeSQL');
+            const batch = mock.method(retAdapter, '_executeBatch');
+
+            const [updated] = await retAdapter._updateAll(User, {active: true}, {where: {name: {in: ['a', 'c']}}}, {});
+            const [user] = await retAdapter._update(User, 2, {role: 'admin'}, {});
+
+            assert.deepStrictEqual(updated.map(x => [x.name, x.active]), [['a', true], ['c', true]]);
+            assert.deepStrictEqual(user, {id: 2, name: 'b', role: 'admin', active: null});
+            assert.strictEqual(execute.mock.calls.length, 1);
+            assert.deepStrictEqual(batch.mock.calls.map(x => x.arguments[0].length), [1]);
+        });
+    });
+
+    describe('soft delete', () => {
+        let softAdapter;
+        let Post;
+
+        beforeEach(async () => {
+            Post = new Mapper({
+                name: 'post',
+                idAttribute: 'id',
+                softDelete: true,
+                schema: {properties: {id: {type: 'integer'}, title: {type: 'string'}, views: {type: 'integer'}}}
+            });
+            softAdapter = await createSqliteAdapter();
+            await softAdapter._createMany(Post, [
+                {title: 'a', views: 1},
+                {title: 'b', views: 2},
+                {title: 'c', views: 3},
+            ], {});
+        });
+
+        it('should mark records deleted and hide them from reads', async () => {
+            await softAdapter._destroy(Post, 1, {});
+            await softAdapter._destroyAll(Post, {where: [{title: {'==': 'b'}}, 'or', {title: {'==': 'x'}}]}, {});
+
+            const [found] = await softAdapter._find(Post, 1, {});
+            const [all] = await softAdapter._findAll(Post, {where: [{views: {'>': 0}}, 'or', {views: {'==': null}}]}, {});
+            const [count] = await softAdapter._count(Post, {}, {});
+            const [sum] = await softAdapter._sum(Post, 'views', {}, {});
+
+            assert.strictEqual(found, undefined);
+            assert.deepStrictEqual(all.map(x => x.title), ['c']);
+            assert.strictEqual(count, 1);
+            assert.strictEqual(sum, 3);
+
+            const [withDeleted] = await softAdapter._findAll(Post, {}, {withDeleted: true});
+            assert.strictEqual(withDeleted.length, 3);
+            assert.ok(!isNaN(Date.parse(withDeleted[0].deleted_at)));
+        });
+
+        it('should not update soft-deleted records', async () => {
+            await softAdapter._destroy(Post, 1, {});
+
+            const [updated] = await softAdapter._updateAll(Post, {views: 0}, {}, {});
+            await softAdapter.transaction((tx) => {
+                tx.updateAll(Post, {title: 'x'}, {});
+            });
+            const [[restored]] = await softAdapter._updateAll(Post, {title: 'r'}, {where: {id: 1}}, {withDeleted: true});
+            const [all] = await softAdapter._findAll(Post, {orderBy: [['id', 'ASC']]}, {withDeleted: true});
+
+            assert.deepStrictEqual(updated.map(x => x.id), [2, 3]);
+            assert.strictEqual(restored.id, 1);
+            assert.deepStrictEqual(all.map(x => [x.title, x.views]), [['r', 1], ['x', 0], ['x', 0]]);
+        });
+
+        it('should not update soft-deleted record by id', async () => {
+            await softAdapter._destroy(Post, 1, {});
+
+            const [updated] = await softAdapter._update(Post, 1, {title: 'x'}, {});
+            const [many] = await softAdapter._updateMany(Post, [{id: 1, title: 'y'}, {id: 2, title: 'y'}], {});
+            const [inTx] = await softAdapter.transaction((tx) => {
+                tx.update(Post, 1, {title: 'z'});
+            });
+            const [restored] = await softAdapter._update(Post, 1, {title: 'r'}, {withDeleted: true});
+
+            assert.strictEqual(updated, undefined);
+            assert.deepStrictEqual(many.map(x => x?.id), [undefined, 2]);
+            assert.strictEqual(inTx, undefined);
+            assert.strictEqual(restored.title, 'r');
+        });
+
+        it('should refresh update time on restore', async () => {
+            const Note = new Mapper({
+                name: 'note',
+                idAttribute: 'id',
+                softDelete: true,
+                timestamps: true,
+                versionAttribute: 'version',
+                schema: {properties: {id: {type: 'integer'}, text: {type: 'string'}}}
+            });
+            const [note] = await softAdapter._create(Note, {text: 'a'}, {});
+            await softAdapter._destroy(Note, note.id, {});
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            // Skipped soft-deleted record is not a version conflict
+            const [skipped] = await softAdapter._update(Note, note.id, {...note, text: 'b'}, {});
+            const restored = await softAdapter.restore(Note, note.id);
+
+            assert.strictEqual(skipped, undefined);
+            assert.strictEqual(restored.text, 'a');
+            assert.strictEqual(restored.deleted_at, null);
+            assert.ok(restored.updated_at > note.updated_at);
+        });
+
+        it('should keep first deletion time', async () => {
+            await softAdapter._destroy(Post, 1, {});
+            const [[first]] = await softAdapter._findAll(Post, {where: {id: 1}}, {withDeleted: true});
+
+            const [, meta] = await softAdapter._destroy(Post, 1, {});
+            const [[second]] = await softAdapter._findAll(Post, {where: {id: 1}}, {withDeleted: true});
+
+            assert.strictEqual(meta.changes, 0);
+            assert.strictEqual(second.deleted_at, first.deleted_at);
+        });
+
+        it('should restore and force destroy records', async () => {
+            await softAdapter._destroy(Post, 2, {});
+
+            const restored = await softAdapter.restore(Post, 2);
+            assert.deepStrictEqual(restored, {id: 2, title: 'b', views: 2, deleted_at: null});
+
+            await softAdapter.forceDestroy(Post, 2);
+            const [count] = await softAdapter._count(Post, {}, {withDeleted: true});
+            assert.strictEqual(count, 2);
+
+            const Plain = new Mapper({name: 'plain'});
+            await assert.rejects(() => softAdapter.restore(Plain, 1), {message: 'restore: plain has no softDelete option'});
+        });
+    });
+
+    describe('timestamps', () => {
+        let tsAdapter;
+        let Note;
+
+        const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+        beforeEach(async () => {
+            Note = new Mapper({
+                name: 'note',
+                idAttribute: 'id',
+                timestamps: true,
+                schema: {properties: {id: {type: 'integer'}, text: {type: 'string', unique: true}}}
+            });
+            tsAdapter = await createSqliteAdapter();
+        });
+
+        it('should stamp created records and refresh updated column', async () => {
+            const [note] = await tsAdapter._create(Note, {text: 'a'}, {});
+            const [[other]] = await tsAdapter._createMany(Note, [{text: 'b', created_at: '2020-01-01T00:00:00.000Z'}], {});
+
+            assert.ok(!isNaN(Date.parse(note.created_at)));
+            assert.strictEqual(note.updated_at, note.created_at);
+            assert.strictEqual(other.created_at, '2020-01-01T00:00:00.000Z');
+
+            await tick();
+            const [updated] = await tsAdapter._update(Note, note.id, {...note, text: 'a2'}, {});
+            assert.strictEqual(updated.created_at, note.created_at);
+            assert.ok(updated.updated_at > note.updated_at);
+
+            await tick();
+            const [[all]] = await tsAdapter._updateAll(Note, {text: 'b2'}, {where: {id: other.id}}, {});
+            assert.strictEqual(all.created_at, '2020-01-01T00:00:00.000Z');
+            assert.ok(all.updated_at > updated.updated_at);
+        });
+
+        it('should keep creation time on upsert', async () => {
+            const [note] = await tsAdapter._create(Note, {text: 'a'}, {});
+            await tick();
+
+            const upserted = await tsAdapter.upsert(Note, {text: 'a'}, {conflictTarget: 'text'});
+
+            assert.strictEqual(upserted.created_at, note.created_at);
+            assert.ok(upserted.updated_at > note.updated_at);
+        });
+
+        it('should not touch update time when there is nothing to merge', async () => {
+            const [note] = await tsAdapter._create(Note, {text: 'a'}, {});
+            await tick();
+            const batch = mock.method(tsAdapter, '_executeBatch');
+
+            const kept = await tsAdapter.upsert(Note, {text: 'a'}, {conflictTarget: 'text', merge: []});
+
+            assert.match(batch.mock.calls[0].arguments[0][0].sql, /on conflict \(`text`\) do nothing/);
+            assert.strictEqual(kept.updated_at, note.updated_at);
+        });
+
+        it('should support custom columns and epoch format', async () => {
+            const Event = new Mapper({
+                name: 'event',
+                timestamps: {createdAt: 'createdAt', updatedAt: false, format: 'epoch'},
+                schema: {properties: {id: {type: 'integer'}, name: {type: 'string'}}}
+            });
+            const before = Date.now();
+
+            const [event] = await tsAdapter._create(Event, {name: 'x'}, {});
+            const {results: columns} = await tsAdapter._executeSQL('PRAGMA table_info("event")');
+
+            assert.ok(event.createdAt >= before && event.createdAt <= Date.now());
+            assert.ok(!('updated_at' in event));
+            assert.strictEqual(columns.find(x => x.name === 'createdAt').type, 'INTEGER');
+        });
+    });
+
+    describe('optimistic locking', () => {
+        let lockAdapter;
+        let Doc;
+
+        beforeEach(async () => {
+            Doc = new Mapper({
+                name: 'doc',
+                idAttribute: 'id',
+                versionAttribute: 'version',
+                schema: {properties: {id: {type: 'integer'}, title: {type: 'string'}}}
+            });
+            lockAdapter = await createSqliteAdapter();
+            await lockAdapter._createMany(Doc, [{title: 'a'}, {title: 'b'}], {});
+        });
+
+        it('should increment version on every update', async () => {
+            const [doc] = await lockAdapter._find(Doc, 1, {});
+            assert.strictEqual(doc.version, 1);
+
+            const [updated] = await lockAdapter._update(Doc, 1, {...doc, title: 'a2'}, {});
+            const [[all]] = await lockAdapter._updateAll(Doc, {title: 'a3'}, {where: {id: 1}}, {});
+
+            assert.strictEqual(updated.version, 2);
+            assert.strictEqual(all.version, 3);
+        });
+
+        it('should reject update of stale record', async () => {
+            const [doc] = await lockAdapter._find(Doc, 1, {});
+            await lockAdapter._update(Doc, 1, {...doc, title: 'by admin'}, {});
+
+            await assert.rejects(() => lockAdapter._update(Doc, 1, {...doc, title: 'by job'}, {}), (error) => {
+                assert.ok(error instanceof StaleRecordError);
+                assert.deepStrictEqual(error.records, [{id: 1, expected: 1, actual: 2}]);
+                assert.match(error.sql, /^update `doc`/);
+                return true;
+            });
+
+            const [stored] = await lockAdapter._find(Doc, 1, {});
+            assert.strictEqual(stored.title, 'by admin');
+
+            const [missing] = await lockAdapter._update(Doc, 99, {title: 'x', version: 1}, {});
+            assert.strictEqual(missing, undefined);
+        });
+
+        it('should increment version of upserted records', async () => {
+            const [doc] = await lockAdapter._find(Doc, 1, {});
+            await lockAdapter._update(Doc, 1, {...doc, title: 'a2'}, {});
+
+            const merged = await lockAdapter.upsert(Doc, {id: 1, title: 'a3'});
+            const listed = await lockAdapter.upsert(Doc, {id: 1, title: 'a4', version: 1}, {merge: ['title', 'version']});
+            const created = await lockAdapter.upsert(Doc, {id: 5, title: 'e'});
+
+            assert.deepStrictEqual([merged.version, listed.version, created.version], [3, 4, 1]);
+            assert.strictEqual(listed.title, 'a4');
+        });
+
+        it('should roll back transaction with stale update', async () => {
+            const [doc] = await lockAdapter._find(Doc, 1, {});
+            await lockAdapter._update(Doc, 1, {...doc, title: 'by admin'}, {});
+
+            await assert.rejects(
+                () => lockAdapter.transaction((tx) => {
+                    tx.create(Doc, {title: 'c'});
+                    tx.update(Doc, 99, {title: 'missing', version: 1});
+                    tx.update(Doc, 1, {...doc, title: 'by job'});
+                }),
+                (error) => {
+                    assert.ok(error instanceof StaleRecordError);
+                    assert.deepStrictEqual(error.records, [{id: 1, expected: 1, actual: 2}]);
+                    assert.strictEqual(error.operationIndex, 2);
+                    return true;
+                }
+            );
+
+            const [count] = await lockAdapter._count(Doc, {}, {});
+            const [stored] = await lockAdapter._find(Doc, 1, {});
+            assert.strictEqual(count, 2);
+            assert.strictEqual(stored.title, 'by admin');
+        });
+
+        it('should report stale records of updateMany', async () => {
+            const [docs] = await lockAdapter._findAll(Doc, {}, {});
+            await lockAdapter._update(Doc, 2, {...docs[1], title: 'b2'}, {});
+
+            await assert.rejects(
+                () => lockAdapter._updateMany(Doc, docs.map(x => ({...x, title: x.title + '!'})), {}),
+                (error) => {
+                    assert.ok(error instanceof StaleRecordError);
+                    assert.deepStrictEqual(error.records.map(x => x.id), [2]);
+                    return true;
+                }
+            );
+
+            const [stored] = await lockAdapter._findAll(Doc, {}, {});
+            assert.deepStrictEqual(stored.map(x => x.title), ['a', 'b2']);
+        });
+    });
+
+    describe('query cache', () => {
+        let cacheAdapter;
+        let Country;
+        let executor;
+
+        beforeEach(async () => {
+            Country = new Mapper({
+                name: 'country',
+                idAttribute: 'id',
+                schema: {properties: {id: {type: 'integer'}, name: {type: 'string'}}}
+            });
+            executor = new SqliteExecutor(new Database(':memory:'));
+            cacheAdapter = await createSqliteAdapter({executor, cache: true});
+            await cacheAdapter._createMany(Country, [{name: 'Austria'}, {name: 'Belgium'}], {});
+            mock.method(executor, 'execute');
+        });
+
+        it('should serve repeated reads from cache', async () => {
+            const [first] = await cacheAdapter._findAll(Country, {orderBy: [['name', 'ASC']]}, {});
+            first[0].name = 'changed';
+            const [second] = await cacheAdapter._findAll(Country, {orderBy: [['name', 'ASC']]}, {});
+            await cacheAdapter._find(Country, 1, {});
+            await cacheAdapter._find(Country, 1, {});
+            await cacheAdapter._findAll(Country, {where: {name: 'Austria'}}, {});
+
+            assert.strictEqual(second[0].name, 'Austria');
+            assert.strictEqual(executor.execute.mock.callCount(), 3);
+        });
+
+        it('should invalidate table on write', async () => {
+            await cacheAdapter._findAll(Country, {}, {});
+            await cacheAdapter._update(Country, 1, {name: 'Austria!'}, {});
+            const [afterUpdate] = await cacheAdapter._findAll(Country, {}, {});
+            await cacheAdapter._destroyAll(Country, {where: {id: 2}}, {});
+            const [afterDestroy] = await cacheAdapter._findAll(Country, {}, {});
+
+            assert.strictEqual(afterUpdate[0].name, 'Austria!');
+            assert.strictEqual(afterDestroy.length, 1);
+        });
+
+        it('should skip cache and honour per query TTL', async () => {
+            await cacheAdapter._findAll(Country, {}, {cache: false});
+            await cacheAdapter._findAll(Country, {}, {cache: false});
+            await cacheAdapter._findAll(Country, {}, {cacheTtl: 5});
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await cacheAdapter._findAll(Country, {}, {});
+
+            assert.strictEqual(executor.execute.mock.callCount(), 4);
+        });
+
+        it('should evict least recently used entries', () => {
+            const store = new MemoryCacheStore({max: 2});
+            store.set('a', 1);
+            store.set('b', 2);
+            store.get('a');
+            store.set('c', 3);
+
+            assert.strictEqual(store.get('a'), 1);
+            assert.strictEqual(store.get('b'), undefined);
+            assert.strictEqual(store.size, 2);
+        });
+
+        it('should treat null of KV-like store as a miss', async () => {
+            // Workers KV returns null for missing keys
+            const entries = new Map();
+            const store = {
+                get: async (key) => entries.has(key) ? entries.get(key) : null,
+                set: async (key, value) => {
+                    entries.set(key, value);
+                },
+                delete: async (key) => {
+                    entries.delete(key);
+                },
+            };
+            const kvAdapter = await createSqliteAdapter({executor, cache: {store}});
+
+            const [first] = await kvAdapter._findAll(Country, {}, {});
+            const [second] = await kvAdapter._find(Country, 1, {});
+            const [cached] = await kvAdapter._findAll(Country, {}, {});
+
+            assert.deepStrictEqual(first.map(x => x.name), ['Austria', 'Belgium']);
+            assert.strictEqual(second.name, 'Austria');
+            assert.deepStrictEqual(cached, first);
+            // Table listing, findAll and find, the second findAll is served from the store
+            assert.strictEqual(executor.execute.mock.callCount(), 3);
+            assert.ok([...entries.values()].some(x => typeof x === 'string'), 'generation is stored');
+        });
+    });
+
+    describe('raw SQL', () => {
+        let sqlAdapter;
+        let Player;
+
+        beforeEach(async () => {
+            Player = new Mapper({
+                name: 'player',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        name: {type: 'string'},
+                        active: {type: 'boolean'},
+                        score: {type: 'integer'},
+                    }
+                }
+            });
+            sqlAdapter = await createSqliteAdapter({cache: true});
+            await sqlAdapter._createMany(Player, [
+                {name: 'Ann', active: true, score: 30},
+                {name: 'Bob', active: false, score: 50},
+                {name: 'Cid', active: true, score: 10},
+            ], {});
+        });
+
+        it('should bind template values as parameters', () => {
+            const filter = sqlAdapter.sql`name in ${['Ann', 'Bob']}`;
+            const statement = sqlAdapter.sql`select * from player where ${filter} and score > ${"0 or 1=1"}`;
+
+            assert.deepStrictEqual(statement, {
+                sql: 'select * from player where name in (?, ?) and score > ?',
+                params: ['Ann', 'Bob', '0 or 1=1'],
+            });
+        });
+
+        it('should decode rows by mapper and keep meta', async () => {
+            const minScore = 20;
+            const result = await sqlAdapter.query(sqlAdapter.sql`
+                select *, rank() over (order by score desc) as place from player where score > ${minScore}
+            `, {mapper: Player, raw: true});
+
+            assert.deepStrictEqual(result.data.map(x => [x.name, x.place, x.active]), [['Bob', 1, false], ['Ann', 2, true]]);
+            assert.ok(result.data[0] instanceof Player.recordClass);
+            assert.strictEqual(result.rows_read, 2);
+
+            const [plain] = await sqlAdapter.query('select count(*) as count from player where active = ?', [true]);
+            assert.deepStrictEqual(plain, {count: 2});
+        });
+
+        it('should invalidate cached results of mapper table on write', async () => {
+            await sqlAdapter._findAll(Player, {}, {});
+            await sqlAdapter.query('update player set score = score + 1', [], {mapper: Player});
+            const [players] = await sqlAdapter._findAll(Player, {}, {});
+
+            assert.deepStrictEqual(players.map(x => x.score), [31, 51, 11]);
+            await assert.rejects(() => sqlAdapter.query(42), /sql must be a string/);
+        });
+    });
+    describe('full-text search', () => {
+        let searchAdapter;
+        let Product;
+        let db;
+
+        beforeEach(async () => {
+            Product = new Mapper({
+                name: 'product',
+                idAttribute: 'id',
+                schema: {
+                    properties: {
+                        id: {type: 'integer'},
+                        title: {type: 'string', searchable: 2},
+                        description: {type: 'string', searchable: true},
+                        price: {type: 'integer'},
+                    }
+                }
+            });
+            db = new Database(':memory:');
+            searchAdapter = await createSqliteAdapter({executor: new SqliteExecutor(db)});
+            await searchAdapter._createMany(Product, [
+                {title: 'Blue shirt', description: 'Cotton shirt, goes well with red shoes', price: 20},
+                {title: 'Red shoes', description: 'Comfortable running shoes', price: 50},
+                {title: 'Green hat', description: 'Wool hat', price: 5},
+            ], {});
+        });
+
+        it('should rank matches by relevance', async () => {
+            const [all] = await searchAdapter._findAll(Product, {where: {'*': {search: 'red shoes'}}}, {});
+            const [titles] = await searchAdapter._findAll(Product, {where: {title: {search: 'shoe*'}}}, {});
+            const [cheap] = await searchAdapter._findAll(Product, {
+                where: [{'*': {search: 'shoes'}}, 'or', {price: {'<': 10}}],
+                orderBy: [['price', 'ASC']],
+            }, {});
+            const [count] = await searchAdapter._count(Product, {where: {description: {search: 'shoes'}}}, {});
+
+            assert.deepStrictEqual(all.map(x => x.id), [2, 1]);
+            assert.deepStrictEqual(Object.keys(all[0]), ['id', 'title', 'description', 'price']);
+            assert.deepStrictEqual(titles.map(x => x.id), [2]);
+            assert.deepStrictEqual(cheap.map(x => x.id), [3, 1, 2]);
+            assert.strictEqual(count, 2);
+        });
+
+        it('should keep search table in sync with writes', async () => {
+            await searchAdapter._update(Product, 2, {title: 'Yellow boots'}, {});
+            await searchAdapter._destroy(Product, 1, {});
+            await searchAdapter._create(Product, {title: 'Red scarf', description: 'Silk', price: 15}, {});
+
+            const [found] = await searchAdapter._findAll(Product, {where: {title: {search: 'red OR boots'}}}, {});
+
+            assert.deepStrictEqual(found.map(x => x.title).sort(), ['Red scarf', 'Yellow boots']);
+        });
+
+        it('should add snippet of matched text', async () => {
+            const [found] = await searchAdapter._findAll(Product, {where: {description: {search: 'red'}}}, {
+                fields: ['title'],
+                snippet: {column: 'description', before: '[', after: ']', as: 'highlight'},
+            });
+
+            assert.deepStrictEqual(found, [{id: 1, title: 'Blue shirt', highlight: 'Cotton shirt, goes well with [red] shoes'}]);
+            await assert.rejects(() => searchAdapter._findAll(Product, {}, {snippet: true}), /no search condition/);
+            await assert.rejects(() => searchAdapter._findAll(Product, {where: {price: {search: '5'}}}, {}), /price is not searchable/);
+        });
+
+        it('should index existing rows when search table is migrated', async () => {
+            const legacy = new Database(':memory:');
+            legacy.exec('CREATE TABLE product (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, description TEXT, price INTEGER)');
+            legacy.exec(`INSERT INTO product (title, price) VALUES ('Red shoes', 50)`);
+            const migrateAdapter = new CloudflareAdapter({executor: new SqliteExecutor(legacy)});
+
+            const plan = await migrateAdapter.migrate(Product);
+            const again = await migrateAdapter.migrate(Product, {dryRun: true});
+            const [found] = await migrateAdapter._findAll(Product, {where: {title: {search: 'shoes'}}}, {});
+
+            assert.strictEqual(plan.search, true);
+            assert.strictEqual(again.statements.length, 0);
+            assert.deepStrictEqual(found.map(x => x.id), [1]);
         });
     });
 });
@@ -0,0 +1,51 @@
+const CONSTRAINTS = ['first-primary', 'first-unconstrained'];
+
+/**
+ * D1 read replication session, created by `CloudflareAdapter#withSession`.
+ * Passed as `opts.session`, sends the latest bookmark with every query so reads observe
+ * all writes made earlier in the session, even when served by a replica
+ */
+export class D1Session {
+    #bookmark;
+
+    /**
+     * @param constraintOrBookmark {D1SessionConstraint|string} where the first query goes, or bookmark of a previous session
+     */
+    constructor(constraintOrBookmark = 'first-unconstrained') {
+        if (CONSTRAINTS.includes(constraintOrBookmark)) {
+            /*** @type {D1SessionConstraint|undefined}*/
+            this.constraint = constraintOrBookmark;
+        } else if (constraintOrBookmark) {
+            this.#bookmark = constraintOrBookmark;
+        } else {
+            throw new Error(`withSession: expected ${CONSTRAINTS.join(' or ')}, or a bookmark`);
+        }
+    }
+
+    /**
+     * Latest bookmark returned by D1, pass it to `withSession` of the next request to continue the session
+     * @return {string|undefined}
+     */
+    get bookmark() {
+        return this.#bookmark;
+    }
+
+    /**
+     * Value for `binding.withSession()`: bookmark once known, constraint before the first query
+     * @return {string}
+     */
+    get start() {
+        return this.#bookmark ?? this.constraint;
+    }
+
+    /**
+     * Remember bookmark of a response.
+     * Bookmarks are ordered, responses of parallel queries may come back out of order so the newest is kept
+     * @param bookmark {string|null|undefined}
+     */
+    record(bookmark) {
+        if (bookmark && (!this.#bookmark || bookmark > this.#bookmark)) {
+            this.#bookmark = bookmark;
+        }
+    }
+}
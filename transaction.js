@@ -0,0 +1,210 @@
+import {utils} from 'js-data';
+import {decodeRecord} from "./util.js";
+import {D1Error} from "./errors.js";
+
+/**
+ * Collects writes and commits them as a single atomic D1 batch.
+ * Created by `CloudflareAdapter#transaction`, every write method returns index of the operation,
+ * result of the operation will be at the same index of committed results
+ */
+export class Transaction {
+    /*** @type {CloudflareAdapter}*/
+    #adapter;
+    /*** @type {TransactionOperation[]}*/
+    #operations = [];
+    #committed = false;
+    #opts;
+
+    /**
+     * @param adapter {CloudflareAdapter}
+     * @param opts {{session?: D1Session}} passed to adapter on commit
+     */
+    constructor(adapter, opts) {
+        this.#adapter = adapter;
+        this.#opts = opts;
+    }
+
+    /**
+     * Create a single record
+     * @param mapper {Mapper}
+     * @param props
+     * @return {number} operation index
+     */
+    create(mapper, props) {
+        return this.#add('create', mapper, () => this.#adapter._insertStatements(mapper, [props]), ([result]) => decodeRecord(mapper, result.results?.[0]));
+    }
+
+    /**
+     * Create multiple records
+     * @param mapper {Mapper}
+     * @param props {Object[]}
+     * @return {number} operation index
+     */
+    createMany(mapper, props) {
+        return this.#add('createMany', mapper, () => this.#adapter._insertStatements(mapper, props), (results) => results
+            .flatMap(x => x.results || [])
+            .map(x => decodeRecord(mapper, x)));
+    }
+
+    /**
+     * Update a single record by ID
+     * @param mapper {Mapper}
+     * @param id
+     * @param props
+     * @param opts {{withDeleted?: boolean}} `withDeleted` updates soft-deleted record as well
+     * @return {number} operation index
+     */
+    update(mapper, id, props, opts) {
+        let update;
+        const statements = () => {
+            update = {id, props, statement: this.#adapter._updateStatement(mapper, id, props, opts)};
+            return this.#adapter._versionedStatements(mapper, update, opts);
+        };
+        const index = this.#add('update', mapper, statements, ([result]) => decodeRecord(mapper, result.results?.[0]));
+        // Describes stale records when the guard fails the batch
+        this.#operations[index].update = update;
+        return index;
+    }
+
+    /**
+     * Update all records matching query
+     * @param mapper {Mapper}
+     * @param props
+     * @param query
+     * @param opts {{withDeleted?: boolean}} `withDeleted` updates soft-deleted records as well
+     * @return {number} operation index
+     */
+    updateAll(mapper, props, query, opts) {
+        return this.#add('updateAll', mapper, () => [this.#adapter._updateAllStatement(mapper, props, query, opts)], ([result]) => (result.results || []).map(x => decodeRecord(mapper, x)));
+    }
+
+    /**
+     * Destroy a single record by ID
+     * @param mapper {Mapper}
+     * @param id
+     * @return {number} operation index
+     */
+    destroy(mapper, id) {
+        return this.#add('destroy', mapper, () => [this.#adapter._destroyStatement(mapper, id)], () => undefined);
+    }
+
+    /**
+     * Destroy all records matching query
+     * @param mapper {Mapper}
+     * @param query
+     * @return {number} operation index
+     */
+    destroyAll(mapper, query) {
+        return this.#add('destroyAll', mapper, () => [this.#adapter._destroyAllStatement(mapper, query)], () => undefined);
+    }
+
+    /**
+     * Send all collected writes as a single batch.
+     * Stale update (see mapper `versionAttribute`) rolls back the batch as any other failure, with `StaleRecordError`
+     * @return {Promise<any[]>} result of every operation in the order they were issued
+     */
+    async commit() {
+        if (this.#committed) {
+            throw new Error('Transaction is already committed');
+        }
+        this.#committed = true;
+
+        const operations = this.#operations;
+        if (!operations.length) {
+            return [];
+        }
+        if (!this.#adapter._canBatch()) {
+            // Statements would be run one by one, failed one can't roll back the previous
+            throw new Error('Transaction requires executor with batch support');
+        }
+
+        const statements = operations.flatMap(x => x.statements);
+        let results;
+        try {
+            results = await this.#adapter._executeWrite(operations.map(x => x.mapper), statements, this.#opts);
+        } catch (error) {
+            throw this.#error(await this.#staleError(error), statements);
+        }
+
+        let offset = 0;
+        const values = operations.map(operation => {
+            const own = results.slice(offset, offset + operation.statements.length);
+            offset += operation.statements.length;
+            return operation.result(own);
+        });
+
+        return values;
+    }
+
+    /**
+     * Stale records of updates, looked up per mapper
+     * @param error {Error}
+     * @return {Promise<Error>}
+     */
+    async #staleError(error) {
+        const mappers = new Set(this.#operations.filter(x => x.update).map(x => x.mapper));
+        for (const mapper of mappers) {
+            const updates = this.#operations.filter(x => x.update && x.mapper === mapper).map(x => x.update);
+            const stale = await this.#adapter._staleError(mapper, updates, error, this.#opts);
+            if (stale !== error) {
+                return stale;
+            }
+        }
+        return error;
+    }
+
+    /**
+     * @param op {string}
+     * @param mapper {Mapper}
+     * @param statements {() => SqlStatement[]} built once mapper is checked
+     * @param result {(results: QueryResult<any>[]) => any}
+     * @return {number} operation index
+     */
+    #add(op, mapper, statements, result) {
+        if (this.#committed) {
+            throw new Error('Transaction is already committed');
+        }
+        // Structural check, mapper may come from another copy of js-data
+        if (!utils.isObject(mapper) || !mapper.name) {
+            throw new Error(`${op}: mapper is required`);
+        }
+
+        this.#operations.push({op, mapper, statements: statements(), result});
+        return this.#operations.length - 1;
+    }
+
+    /**
+     * Describe which statement made the transaction fail
+     * Typed errors (`ConstraintError` etc.) keep their class
+     * @param error {Error & {statementIndex?: number}}
+     * @param statements {SqlStatement[]}
+     * @return {Error}
+     */
+    #error(error, statements) {
+        const index = error.statementIndex;
+        const statement = statements[index];
+        const create = (message) => error instanceof D1Error
+            ? new error.constructor(message, {...error, cause: error})
+            : new Error(message, {cause: error});
+
+        if (!statement) {
+            const result = create(`Transaction rolled back: ${error.message}`);
+            result.statements = statements;
+            return result;
+        }
+
+        let offset = 0;
+        const operationIndex = this.#operations.findIndex(x => (offset += x.statements.length) > index);
+        const operation = this.#operations[operationIndex];
+
+        const result = create(
+            `Transaction rolled back, statement #${index} (${operation.op} on ${operation.mapper.name}) failed: ${error.message}`
+        );
+        result.statementIndex = index;
+        result.operationIndex = operationIndex;
+        result.sql = statement.sql;
+        result.params = statement.params;
+        result.statements = statements;
+        return result;
+    }
+}
@@ -1,26 +1,626 @@
-import {IAdapterOpts} from "js-data-adapter";
+import {Mapper} from "js-data";
+import {Adapter, IAdapterOpts} from "js-data-adapter";
 
 export interface CloudflareAdapterParams extends IAdapterOpts{
     /**
      * Cloudflare account ID
+     * Not needed when `binding` is provided
      */
-    accountId: string;
+    accountId?: string;
 
     /**
      * Cloudflare database ID
+     * Not needed when `binding` is provided
      */
-    databaseId: string;
+    databaseId?: string;
 
     /**
      * Cloudflare API token
      * Should contain D1 read \ edit privileges
+     * Not needed when `binding` is provided
      */
-    token: string;
+    token?: string;
+
+    /**
+     * D1 Workers binding (`env.DB`).
+     * When provided, all queries go through it instead of the REST API
+     */
+    binding?: D1Binding;
+
+    /**
+     * Custom SQL executor. Takes precedence over `binding` and REST API credentials
+     */
+    executor?: SqlExecutor;
 
     /**
      * Should we create tables automatically
      */
     autocreateTables?: boolean;
+
+    /**
+     * Retries of failed REST API requests
+     */
+    retry?: RetryOptions;
+
+    /**
+     * Migrate every mapper table before its first use: create missing tables and add missing columns.
+     * Destructive differences are only logged
+     */
+    automigrateTables?: boolean;
+
+    /**
+     * Cache results of `find` \ `findAll`, `true` uses in-memory LRU store with default TTL.
+     * Writes through adapter invalidate cached results of the written table
+     */
+    cache?: boolean | QueryCacheOptions;
+}
+
+export interface QueryCacheOptions {
+    /**
+     * Where results are kept, in-memory LRU by default. Methods may return promises
+     */
+    store?: CacheStore;
+    /**
+     * How long results are kept, ms, 60000 by default
+     */
+    ttl?: number;
+    /**
+     * Max amount of entries of default in-memory store, 1000 by default
+     */
+    max?: number;
+}
+
+export interface CacheStore {
+    /**
+     * @return stored value, `null` or `undefined` on a miss
+     */
+    get(key: string): any | Promise<any>;
+
+    /**
+     * @param ttl ms, entry never expires without it
+     */
+    set(key: string, value: any, ttl?: number): void | Promise<void>;
+
+    delete(key: string): void | Promise<void>;
+}
+
+/**
+ * In-memory LRU store with per-entry TTL
+ */
+export declare class MemoryCacheStore implements CacheStore {
+    constructor(opts?: { max?: number });
+
+    readonly size: number;
+
+    get(key: string): any;
+
+    set(key: string, value: any, ttl?: number): void;
+
+    delete(key: string): void;
+
+    clear(): void;
+}
+
+/**
+ * Caches query results per table, invalidated table drops all its results
+ */
+export declare class QueryCache {
+    constructor(opts?: QueryCacheOptions);
+
+    wrap<T>(table: string, sql: string, params: any[], ttl: number | undefined, load: () => Promise<T>): Promise<{ value: T, hit: boolean }>;
+
+    invalidate(table: string): Promise<void>;
+}
+
+export interface RetryOptions {
+    /**
+     * How many times request is repeated after the first attempt, 3 by default
+     */
+    retries?: number;
+    /**
+     * Delay before the first retry, 200ms by default
+     */
+    minTimeout?: number;
+    /**
+     * Max delay between attempts, 5000ms by default.
+     * Request asking for a longer `Retry-After` fails at once instead of waiting
+     */
+    maxTimeout?: number;
+    /**
+     * Backoff factor, 2 by default
+     */
+    factor?: number;
+    /**
+     * Retry non-idempotent requests (writes) as well, false by default
+     */
+    writes?: boolean;
+}
+
+export interface D1BoundStatement {
+    all<T = any>(): Promise<QueryResult<T[]>>;
+
+    run<T = any>(): Promise<QueryResult<T[]>>;
+}
+
+export interface D1PreparedStatement extends D1BoundStatement {
+    bind(...values: any[]): D1BoundStatement;
+}
+
+/**
+ * Minimal shape of better-sqlite3 statement used by `SqliteExecutor`
+ */
+export interface SqliteStatement {
+    readonly reader: boolean;
+    readonly readonly: boolean;
+
+    all(...params: any[]): any[];
+
+    get(...params: any[]): any;
+
+    run(...params: any[]): { changes: number, lastInsertRowid: number | bigint };
+}
+
+/**
+ * Minimal shape of better-sqlite3 database used by `SqliteExecutor`, so typings don't depend on the package
+ */
+export interface SqliteDatabase {
+    prepare(sql: string): SqliteStatement;
+
+    transaction<F extends (...args: any[]) => any>(fn: F): F;
+}
+
+/**
+ * Minimal shape of D1 Workers binding used by adapter
+ */
+export interface D1Binding {
+    prepare(sql: string): D1PreparedStatement;
+
+    batch<T = any>(statements: D1BoundStatement[]): Promise<QueryResult<T[]>[]>;
+
+    /**
+     * Start read replication session, available with recent Worker compatibility dates
+     */
+    withSession?(constraintOrBookmark: D1SessionConstraint | string): D1DatabaseSession;
+}
+
+export interface D1DatabaseSession {
+    prepare(sql: string): D1PreparedStatement;
+
+    batch<T = any>(statements: D1BoundStatement[]): Promise<QueryResult<T[]>[]>;
+
+    getBookmark(): string | null;
+}
+
+export type D1SessionConstraint = 'first-primary' | 'first-unconstrained';
+
+/**
+ * D1 read replication session, pass it as `opts.session`
+ */
+export declare class D1Session {
+    constructor(constraintOrBookmark?: D1SessionConstraint | string);
+
+    readonly constraint?: D1SessionConstraint;
+
+    /**
+     * Latest bookmark returned by D1, pass it to `withSession` of the next request to continue the session
+     */
+    readonly bookmark: string | undefined;
+
+    /**
+     * Bookmark once known, constraint before the first query
+     */
+    readonly start: string;
+
+    record(bookmark: string | null | undefined): void;
+}
+
+export interface SqlStatement {
+    sql: string;
+    params: any[];
+}
+
+/**
+ * Runs SQL statements against some D1-compatible database
+ */
+export interface SqlExecutor {
+    /**
+     * @param session read replication session of the call, executors without replicas may ignore it,
+     * executors that can't keep bookmarks should throw
+     */
+    execute<T = any>(sql: string, params: any[], session?: D1Session): Promise<QueryResult<T[]>>;
+
+    /**
+     * Run several statements in one go, atomically, results are returned per statement.
+     * Error may carry `statementIndex` of the failed statement (`SqliteExecutor` does, D1 doesn't report it).
+     * When missing, adapter executes statements one by one and `transaction()` is refused
+     */
+    batch?<T = any>(statements: SqlStatement[], session?: D1Session): Promise<QueryResult<T[]>[]>;
+}
+
+/**
+ * Executes SQL through Cloudflare D1 REST API
+ */
+export declare class HttpExecutor implements SqlExecutor {
+    constructor(params: CloudflareAdapterParams, http: (url: string, params: RequestInit, opts: { idempotent: boolean }) => Promise<CloudflareResponse<QueryResult<any>[]>>);
+
+    /**
+     * @param session not supported by REST API, throws when given
+     */
+    execute<T = any>(sql: string, params: any[], session?: D1Session): Promise<QueryResult<T[]>>;
+
+    /**
+     * @param session not supported by REST API, throws when given
+     */
+    batch<T = any>(statements: SqlStatement[], session?: D1Session): Promise<QueryResult<T[]>[]>;
+}
+
+/**
+ * Executes SQL through D1 Workers binding
+ */
+export declare class BindingExecutor implements SqlExecutor {
+    constructor(binding: D1Binding);
+
+    execute<T = any>(sql: string, params: any[], session?: D1Session): Promise<QueryResult<T[]>>;
+
+    batch<T = any>(statements: SqlStatement[], session?: D1Session): Promise<QueryResult<T[]>[]>;
+}
+
+/**
+ * Executes SQL against local better-sqlite3 database with D1-shaped results
+ */
+export declare class SqliteExecutor implements SqlExecutor {
+    constructor(db: SqliteDatabase);
+
+    execute<T = any>(sql: string, params: any[]): Promise<QueryResult<T[]>>;
+
+    batch<T = any>(statements: SqlStatement[]): Promise<QueryResult<T[]>[]>;
+}
+
+export declare class CloudflareAdapter extends Adapter {
+    constructor(params: CloudflareAdapterParams);
+
+    /**
+     * Resolves once tables existing in the database are listed, never rejects
+     */
+    readonly ready: Promise<void>;
+
+    /**
+     * Execute HTTP request to Cloudflare D1 API
+     */
+    HTTP<T = any>(url: string, params: RequestInit, opts?: { idempotent?: boolean }): Promise<CloudflareResponse<T>>;
+
+    /**
+     * Run several writes atomically as a single D1 batch
+     * @return result of every write in the order they were issued
+     */
+    transaction(fn: (tx: Transaction) => any, opts?: { session?: D1Session }): Promise<any[]>;
+
+    /**
+     * Start D1 read replication session, pass it as `opts.session` to get read-your-writes consistency.
+     * Workers binding only
+     */
+    withSession(constraintOrBookmark?: D1SessionConstraint | string): D1Session;
+
+    /**
+     * Run hand-written SQL, with `mapper` rows are decoded and wrapped as its records.
+     * D1 `meta` is returned with `raw: true`
+     */
+    query<T = any>(sql: string, params?: any[], opts?: QueryOptions): Promise<T[]>;
+    query<T = any>(statement: SqlStatement, opts?: QueryOptions): Promise<T[]>;
+
+    /**
+     * Tagged template, interpolated values are bound as parameters.
+     * Arrays expand to `(?, ?, ...)` lists, nested statements are inlined
+     */
+    sql(strings: TemplateStringsArray, ...values: any[]): SqlStatement;
+
+    /**
+     * Bring table in line with mapper schema, only additive changes are applied
+     */
+    migrate(mapper: Mapper, opts?: { dryRun?: boolean }): Promise<MigrationPlan>;
+
+    /**
+     * Walk through all records matching query, pages are loaded by keyset instead of OFFSET
+     */
+    iterate<T = any>(mapper: Mapper, query?: any, opts?: { batchSize?: number, fields?: string[] }): AsyncGenerator<T>;
+
+    avg(mapper: Mapper, field: string, query?: any, opts?: any): Promise<number | null>;
+
+    min(mapper: Mapper, field: string, query?: any, opts?: any): Promise<any>;
+
+    max(mapper: Mapper, field: string, query?: any, opts?: any): Promise<any>;
+
+    /**
+     * Compute aggregates per group in D1
+     * @return one row per group
+     */
+    aggregate<T = any>(mapper: Mapper, spec: AggregateSpec, query?: any, opts?: any): Promise<T[]>;
+
+    /**
+     * Insert record or update the stored one on conflict, with a single `INSERT ... ON CONFLICT`
+     * @return stored record
+     */
+    upsert<T = any>(mapper: Mapper, props: Partial<T>, opts?: UpsertOptions): Promise<T>;
+
+    upsertMany<T = any>(mapper: Mapper, records: Partial<T>[], opts?: UpsertOptions): Promise<T[]>;
+
+    /**
+     * Bring soft-deleted record back, mapper must have `softDelete` option
+     */
+    restore<T = any>(mapper: Mapper, id: any, opts?: any): Promise<T | undefined>;
+
+    /**
+     * Delete record for real, bypassing mapper `softDelete` option
+     */
+    forceDestroy(mapper: Mapper, id: any, opts?: any): Promise<undefined>;
+
+    /**
+     * Drop cached query results of mapper's table, for changes made outside of adapter
+     */
+    invalidateCache(mapper: Mapper): Promise<void>;
+}
+
+/**
+ * Mapper `timestamps` option
+ */
+export interface TimestampsOptions {
+    /**
+     * Column stamped on create, `created_at` by default, `false` disables it
+     */
+    createdAt?: string | false;
+    /**
+     * Column stamped on create and every update, `updated_at` by default, `false` disables it
+     */
+    updatedAt?: string | false;
+    /**
+     * ISO string (TEXT column) or epoch millis (INTEGER column), `iso` by default
+     */
+    format?: 'iso' | 'epoch';
+}
+
+/**
+ * `snippet` option of `findAll` with `search` condition
+ */
+export interface SnippetOptions {
+    /**
+     * Searchable column to take fragment from, the best matching one by default
+     */
+    column?: string;
+    /**
+     * Inserted before matched term, `<b>` by default
+     */
+    before?: string;
+    /**
+     * Inserted after matched term, `</b>` by default
+     */
+    after?: string;
+    /**
+     * Marks cut text, `...` by default
+     */
+    ellipsis?: string;
+    /**
+     * Max tokens in fragment (up to 64), 10 by default
+     */
+    tokens?: number;
+    /**
+     * Record property fragment is put to, `snippet` by default
+     */
+    as?: string;
+}
+
+export interface QueryOptions {
+    mapper?: Mapper;
+    raw?: boolean;
+    session?: D1Session;
+}
+
+export interface UpsertOptions {
+    /**
+     * Unique column(s) that detect conflict, defaults to `idAttribute`
+     */
+    conflictTarget?: string | string[];
+    /**
+     * Columns to update on conflict, all inserted columns by default. `false` or `[]` keeps stored record (`DO NOTHING`)
+     */
+    merge?: boolean | string[];
+    raw?: boolean;
+}
+
+export type AggregateFunction = 'count' | 'countDistinct' | 'sum' | 'avg' | 'min' | 'max';
+
+export type DateBucket = 'hour' | 'day' | 'month' | 'year';
+
+export interface AggregateSpec {
+    /**
+     * Field names, or date buckets `{day: {day: 'created_at'}}` (alias to bucket of field)
+     */
+    groupBy?: string | Array<string | Record<string, Partial<Record<DateBucket, string>>>>;
+    /**
+     * Alias to aggregate of field, `{revenue: {sum: 'amount'}, orders: {count: '*'}}`
+     */
+    aggregates?: Record<string, Partial<Record<AggregateFunction, string>>>;
+    /**
+     * `where`-like filter over group and aggregate aliases
+     */
+    having?: any;
+}
+
+export interface ColumnDefinition {
+    name: string;
+    type: 'TEXT' | 'INTEGER' | 'REAL';
+    primaryKey: boolean;
+    notNull?: boolean;
+    unique?: boolean;
+    default?: any;
+    /**
+     * Column definition used in CREATE TABLE
+     */
+    sql: string;
+}
+
+/**
+ * Mapper `indexes` option entry: column name, list of columns or full declaration
+ */
+export type IndexDeclaration = string | string[] | {
+    columns: string | string[];
+    unique?: boolean;
+    /**
+     * Raw SQL condition, makes the index partial
+     */
+    where?: string;
+    /**
+     * Defaults to `<table>_<columns>_idx` (`_unique` for unique indexes)
+     */
+    name?: string;
+};
+
+export interface IndexDefinition {
+    name: string;
+    columns: string[];
+    unique: boolean;
+    where?: string;
+    sql: string;
+}
+
+export interface MigrationPlan {
+    table: string;
+    /**
+     * Table did not exist and will be created
+     */
+    create: boolean;
+    /**
+     * Columns added with ALTER TABLE ... ADD COLUMN
+     */
+    add: Array<{ column: string, sql: string }>;
+    /**
+     * Columns missing from mapper schema, not applied
+     */
+    drop: Array<{ column: string }>;
+    /**
+     * Columns with different type, not applied
+     */
+    retype: Array<{ column: string, from: string, to: string }>;
+    /**
+     * New columns SQLite can't add with ALTER TABLE (PRIMARY KEY, UNIQUE, NOT NULL without DEFAULT), not applied
+     */
+    manual: Array<{ column: string, reason: string }>;
+    /**
+     * Names of created indexes
+     */
+    indexes: string[];
+    /**
+     * Full-text search table (with its triggers) for `searchable` properties will be created
+     */
+    search: boolean;
+    /**
+     * Statements applying additive changes
+     */
+    statements: SqlStatement[];
+}
+
+/**
+ * Collects writes and commits them as a single atomic D1 batch.
+ * Every write method returns index of the operation in committed results
+ */
+export declare class Transaction {
+    create(mapper: Mapper, props: any): number;
+
+    createMany(mapper: Mapper, props: any[]): number;
+
+    update(mapper: Mapper, id: any, props: any, opts?: { withDeleted?: boolean }): number;
+
+    updateAll(mapper: Mapper, props: any, query?: any, opts?: { withDeleted?: boolean }): number;
+
+    destroy(mapper: Mapper, id: any): number;
+
+    destroyAll(mapper: Mapper, query?: any): number;
+
+    commit(): Promise<any[]>;
+}
+
+/**
+ * Rejection of failed transaction
+ */
+export interface TransactionError extends Error {
+    /**
+     * Index of failed statement, when executor could tell it (never with D1 REST API or binding)
+     */
+    statementIndex?: number;
+    /**
+     * Index of the transaction write the failed statement belongs to
+     */
+    operationIndex?: number;
+    sql?: string;
+    params?: any[];
+    statements: SqlStatement[];
+}
+
+export interface D1ErrorDetails {
+    sql?: string | SqlStatement[];
+    bindings?: any[];
+    errors?: ResponseInfo[];
+    messages?: ResponseInfo[];
+    status?: number;
+    statementIndex?: number;
+    cause?: unknown;
+}
+
+/**
+ * Base class of errors raised for failed D1 requests
+ */
+export declare class D1Error extends Error {
+    constructor(message: string, details?: D1ErrorDetails);
+
+    /**
+     * Failed statement, or the whole batch when failed statement is unknown
+     */
+    sql?: string | SqlStatement[];
+    bindings: any[];
+    errors: ResponseInfo[];
+    messages: ResponseInfo[];
+    /**
+     * HTTP status, REST API only
+     */
+    status?: number;
+    /**
+     * Index of failed statement of a batch, only when executor reports it.
+     * D1 (REST API and binding) doesn't, `SqliteExecutor` does
+     */
+    statementIndex?: number;
+}
+
+export declare class ConstraintError extends D1Error {
+    constraint: 'UNIQUE' | 'NOT NULL' | 'CHECK' | 'FOREIGN KEY' | 'PRIMARY KEY';
+    table?: string;
+    column?: string;
+}
+
+export declare class NotFoundTableError extends D1Error {
+    table: string;
+}
+
+export declare class AuthError extends D1Error {
+}
+
+export declare class RateLimitError extends D1Error {
+    /**
+     * ms to wait, from `Retry-After` header
+     */
+    retryAfter?: number;
+}
+
+export declare class SqlSyntaxError extends D1Error {
+}
+
+/**
+ * Record was changed since it was read, see mapper `versionAttribute`
+ */
+export declare class StaleRecordError extends D1Error {
+    table: string;
+    /**
+     * ID, version the caller had and version stored now
+     */
+    records: { id: any, expected: number, actual: number }[];
 }
 
 export interface ResponseInfo {
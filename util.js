@@ -10,6 +10,95 @@ export function underscore(str) {
     return str.replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, '');
 }
 
+/**
+ * Whether SQL statement produces rows (so it should be run with `.all()` on the D1 binding)
+ * @param sql {string}
+ * @return {boolean}
+ */
+export function returnsRows(sql) {
+    return /^\s*(select|pragma|with|explain)\b/i.test(sql) || /\breturning\b/i.test(sql);
+}
+
+/**
+ * Whether SQL statement only reads data, so it's safe to send it again
+ * @param sql {string}
+ * @return {boolean}
+ */
+export function isReadOnly(sql) {
+    return /^\s*(select|explain)\b/i.test(sql)
+        || (/^\s*pragma\b/i.test(sql) && !sql.includes('='))
+        || (/^\s*with\b/i.test(sql) && !/\b(insert|update|delete|replace)\b/i.test(sql));
+}
+
+export const RETRY_DEFAULTS = {
+    /**
+     * How many times request is repeated after the first attempt
+     */
+    retries: 3,
+    /**
+     * Delay before the first retry, ms
+     */
+    minTimeout: 200,
+    /**
+     * Max delay between attempts, ms
+     */
+    maxTimeout: 5000,
+    factor: 2,
+    /**
+     * Retry non-idempotent requests (writes) as well
+     */
+    writes: false,
+};
+
+/**
+ * HTTP statuses worth retrying
+ * @param status {number}
+ * @return {boolean}
+ */
+export function isTransientStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * @param retryAfter {string|null|undefined} `Retry-After` header, seconds or HTTP date
+ * @return {number|undefined} ms
+ */
+export function parseRetryAfter(retryAfter) {
+    if (!retryAfter) {
+        return undefined;
+    }
+    const seconds = Number(retryAfter);
+    const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    return isNaN(ms) ? undefined : Math.max(0, ms);
+}
+
+/**
+ * Delay before next attempt: exponential backoff with jitter, `Retry-After` header wins when present.
+ * Never longer than `retry.maxTimeout`
+ * @param attempt {number} 1 for the first retry
+ * @param retry {typeof RETRY_DEFAULTS}
+ * @param retryAfter {string|null|undefined} `Retry-After` header, seconds or HTTP date
+ * @return {number} ms
+ */
+export function retryDelay(attempt, retry, retryAfter) {
+    const ms = parseRetryAfter(retryAfter);
+    if (ms !== undefined) {
+        return Math.min(retry.maxTimeout, ms);
+    }
+
+    const delay = Math.min(retry.maxTimeout, retry.minTimeout * Math.pow(retry.factor, attempt - 1));
+    // Equal jitter: half of the delay is random, so parallel clients don't retry at the same moment
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * @param ms {number}
+ * @return {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // Create knex instance for query building only
 // Using a mock connection since we only need the query builder, not actual DB connection
 export const knex = (knexLib.knex || knexLib)({
@@ -18,13 +107,99 @@ export const knex = (knexLib.knex || knexLib)({
     useNullAsDefault: true
 });
 
+// D1 limits the amount of bound parameters per statement
+export const MAX_BOUND_PARAMETERS = 100;
+
+/**
+ * Compile knex builder to statement
+ * @param builder {QueryBuilder}
+ * @return {SqlStatement}
+ */
+export function toStatement(builder) {
+    const {sql, bindings} = builder.toSQL();
+    return {sql, params: bindings};
+}
+
+/**
+ * Build statement from tagged template, interpolated values become bound parameters.
+ * Nested statements (e.g. built by the same tag) are inlined, arrays expand to `(?, ?, ...)` lists
+ * @param strings {TemplateStringsArray}
+ * @param values {any[]}
+ * @return {SqlStatement}
+ */
+export function templateStatement(strings, values) {
+    let sql = strings[0];
+    const params = [];
+    values.forEach((value, i) => {
+        if (isStatement(value)) {
+            sql += value.sql;
+            params.push(...value.params);
+        } else if (utils.isArray(value)) {
+            sql += `(${value.map(() => '?').join(', ')})`;
+            params.push(...value);
+        } else {
+            sql += '?';
+            params.push(value);
+        }
+        sql += strings[i + 1];
+    });
+    return {sql, params};
+}
+
+/**
+ * @param value
+ * @return {boolean} whether value is `{sql, params}` statement
+ */
+export function isStatement(value) {
+    return utils.isObject(value) && utils.isString(value.sql) && utils.isArray(value.params);
+}
+
+/**
+ * Split rows to insert so each INSERT fits D1 bound parameters limit
+ * @param rows {Object[]}
+ * @return {Object[][]}
+ */
+export function chunkRows(rows) {
+    const columns = new Set(rows.flatMap(x => Object.keys(x)));
+    const size = Math.max(1, Math.floor(MAX_BOUND_PARAMETERS / Math.max(1, columns.size)));
+
+    const chunks = [];
+    for (let i = 0; i < rows.length; i += size) {
+        chunks.push(rows.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Combine meta of several statements to a single one
+ * @param metas {QueryResult['meta'][]}
+ * @return {QueryResult['meta']}
+ */
+export function mergeMeta(metas) {
+    const result = {changed_db: false, changes: 0, duration: 0, rows_read: 0, rows_written: 0};
+
+    for (const meta of metas.filter(Boolean)) {
+        result.changed_db ||= !!meta.changed_db;
+        result.changes += meta.changes || 0;
+        result.duration += meta.duration || 0;
+        result.rows_read += meta.rows_read || 0;
+        result.rows_written += meta.rows_written || 0;
+        if (meta.last_row_id !== undefined) {
+            result.last_row_id = meta.last_row_id;
+        }
+    }
+
+    return result;
+}
+
 /**
  *
  * @param builder {QueryBuilder}
  * @param query
+ * @param context {WhereContext|undefined} schema properties and full-text index of the table
  * @return {*}
  */
-export function toSql(builder, query) {
+export function toSql(builder, query, context) {
     query = utils.plainCopy(query);
 
     if ('limit' in query) {
@@ -37,6 +212,10 @@ export function toSql(builder, query) {
         delete query.offset;
     }
 
+    // Projection is applied by _find \ _findAll
+    delete query.select;
+    delete query.distinct;
+
     if ('orderBy' in query) {
         for (const [name, direction] of query.orderBy) {
             builder = builder.orderBy(name, direction.toLocaleLowerCase());
@@ -45,63 +224,707 @@ export function toSql(builder, query) {
         delete query.orderBy;
     }
 
-    if ('where' in query) {
-        builder = toSql(builder, query.where);
-        delete query.where;
+    // Fields at top level are ANDed with `where`
+    const where = 'where' in query ? query.where : undefined;
+    delete query.where;
+    const terms = whereTerms(where !== undefined && Object.keys(query).length ? [where, query] : where ?? query, context);
+    if (terms.some((x, i) => i && x.or)) {
+        // Keep ORs apart from conditions already added to builder (e.g. soft-delete filter)
+        builder = builder.where(qb => {
+            applyTerms(qb, terms);
+        });
+    } else {
+        builder = applyTerms(builder, terms);
     }
 
-    for (let [field, cond] of Object.entries(query)) {
-        delete query[field];
-        for (let [op, value] of Object.entries(cond)) {
-            switch (op) {
-                case '==':
-                case '===':
-                    builder = builder.where(field, '=', value);
-                    break;
+    return builder;
+}
 
-                case '!=':
-                case '!==':
-                    builder = builder.where(field, '<>', value);
-                    break;
+/**
+ * js-data `where` matching rows placed after `row` in `order`, used for keyset pagination.
+ * SQLite puts NULLs first in ascending order and last in descending
+ * @param order {Array<[string, string]>} sort keys, the last one is unique
+ * @param row {Object} last row of previous page
+ * @return {Array}
+ */
+export function keysetWhere(order, row) {
+    const [[field, direction], ...rest] = order;
+    const value = row[field] ?? null;
+    const desc = direction.toUpperCase() === 'DESC';
 
-                case '>':
-                    builder = builder.where(field, '>', value);
-                    break;
+    let after;
+    if (value === null) {
+        after = desc ? undefined : {[field]: {'!=': null}};
+    } else {
+        after = desc ? {[field]: {'<': value, '|==': null}} : {[field]: {'>': value}};
+    }
 
-                case '>=':
-                    builder = builder.where(field, '>=', value);
-                    break;
+    if (!rest.length) {
+        return [after];
+    }
+
+    const same = [{[field]: {'==': value}}, 'and', keysetWhere(rest, row)];
+    return after ? [after, 'or', same] : [same];
+}
 
-                case '<':
-                    builder = builder.where(field, '<', value);
-                    break;
+/**
+ * Apply js-data `where`: object of field conditions or array of groups joined by `'and'` / `'or'`.
+ * Like js-data, conditions are evaluated left to right: `[a, 'or', b, 'and', c]` is `(a OR b) AND c`
+ * @param builder {QueryBuilder}
+ * @param where {Object|Array}
+ * @param context {WhereContext|undefined}
+ * @return {QueryBuilder}
+ */
+function whereClause(builder, where, context) {
+    return applyTerms(builder, whereTerms(where, context));
+}
 
-                case '<=':
-                    builder = builder.where(field, '<=', value);
-                    break;
+/**
+ * @typedef {{or: boolean, apply: (builder: QueryBuilder, or: boolean) => QueryBuilder}} WhereTerm
+ */
 
-                case 'in':
-                case 'contains':
-                    builder = builder.whereIn(field, value);
-                    break;
+/**
+ * Flatten `where` into list of conditions with connector to the previous one
+ * @param where {Object|Array}
+ * @param context {WhereContext|undefined}
+ * @return {WhereTerm[]}
+ */
+function whereTerms(where, context) {
+    const terms = [];
 
-                case 'notIn':
-                case 'notContains':
-                    builder = builder.whereNotIn(field, value);
-                    break;
+    if (utils.isArray(where)) {
+        where.forEach((group, i) => {
+            if (utils.isString(group)) {
+                if (group !== 'and' && group !== 'or') {
+                    throw new Error(`Unknown connector ${group}, expected 'and' or 'or'`);
+                }
+                return;
             }
+            terms.push({
+                or: where[i - 1] === 'or',
+                // Nested group goes into parentheses
+                apply: (builder, or) => builder[or ? 'orWhere' : 'where'](qb => {
+                    whereClause(qb, group, context);
+                }),
+            });
+        });
+        return terms;
+    }
+
+    for (let [field, cond] of Object.entries(where || {})) {
+        if (!utils.isObject(cond)) {
+            // {where: {name: 'John'}} shorthand
+            cond = {'==': cond};
+        }
+        for (const [op, value] of Object.entries(cond)) {
+            // {'|==': value} is ORed with previous condition
+            const or = op.charAt(0) === '|';
+            terms.push({
+                or,
+                apply: (builder, or) => or
+                    ? builder.orWhere(qb => {
+                        whereOperator(qb, field, op.substring(1), value, context);
+                    })
+                    : whereOperator(builder, field, op, value, context),
+            });
         }
     }
+    return terms;
+}
+
+/**
+ * @param builder {QueryBuilder}
+ * @param terms {WhereTerm[]}
+ * @return {QueryBuilder}
+ */
+function applyTerms(builder, terms) {
+    // SQL binds AND tighter than OR, so everything before the last AND that follows an OR is grouped
+    let hasOr = false;
+    let split = -1;
+    terms.forEach((term, i) => {
+        if (i && term.or) {
+            hasOr = true;
+        } else if (i && hasOr) {
+            split = i;
+        }
+    });
+
+    if (split !== -1) {
+        const head = terms.slice(0, split);
+        builder = builder.where(qb => {
+            applyTerms(qb, head);
+        });
+        terms = terms.slice(split);
+    }
+
+    terms.forEach((term, i) => {
+        builder = term.apply(builder, i > 0 && term.or);
+    });
 
     return builder;
 }
 
 /**
- *
+ * @param builder {QueryBuilder}
+ * @param field {string}
+ * @param op {string}
+ * @param value {any}
+ * @param context {WhereContext|undefined}
+ * @return {QueryBuilder}
+ */
+function whereOperator(builder, field, op, value, context) {
+    // Compared values are stored the way records are (booleans as 0/1, dates by format, ...)
+    const encode = (x) => encodeValue(context?.properties?.[field], x);
+    if (['==', '===', '!=', '!==', '>', '>=', '<', '<='].includes(op)) {
+        value = encode(value);
+    } else if (['in', 'contains', 'notIn', 'notContains', 'between'].includes(op) && utils.isArray(value)) {
+        value = value.map(encode);
+    }
+
+    switch (op) {
+        case '==':
+        case '===':
+            return value === null ? builder.whereNull(field) : builder.where(field, '=', value);
+
+        case '!=':
+        case '!==':
+            return value === null ? builder.whereNotNull(field) : builder.where(field, '<>', value);
+
+        case '>':
+            return builder.where(field, '>', value);
+
+        case '>=':
+            return builder.where(field, '>=', value);
+
+        case '<':
+            return builder.where(field, '<', value);
+
+        case '<=':
+            return builder.where(field, '<=', value);
+
+        case 'in':
+        case 'contains':
+            return whereIn(builder, field, value, 'in');
+
+        case 'notIn':
+        case 'notContains':
+            return whereIn(builder, field, value, 'not in');
+
+        // SQLite LIKE ignores case, GLOB is used for case-sensitive matching
+        case 'like':
+            return builder.whereRaw('?? glob ?', [field, likeToGlob(value)]);
+
+        case 'notLike':
+            return builder.whereRaw('?? not glob ?', [field, likeToGlob(value)]);
+
+        case 'ilike':
+            return builder.whereRaw('?? like ?', [field, value]);
+
+        case 'startsWith':
+            return builder.whereRaw('?? glob ?', [field, escapeGlob(value) + '*']);
+
+        case 'endsWith':
+            return builder.whereRaw('?? glob ?', [field, '*' + escapeGlob(value)]);
+
+        case 'isNull':
+            return value ? builder.whereNull(field) : builder.whereNotNull(field);
+
+        case 'isNotNull':
+            return value ? builder.whereNotNull(field) : builder.whereNull(field);
+
+        case 'between':
+            if (!utils.isArray(value) || value.length !== 2) {
+                throw new Error(`between: expected [from, to] for ${field}`);
+            }
+            return builder.whereBetween(field, value);
+
+        case 'search':
+            return whereSearch(builder, field, value, context?.search);
+
+        default:
+            throw new Error(`Unknown operator ${op} for ${field}`);
+    }
+}
+
+/**
+ * @typedef {{properties: Object, search: SearchIndex|undefined}} WhereContext
+ */
+
+/**
+ * Where context of mapper table: schema properties to encode compared values, full-text index for `search`
  * @param mapper {Mapper}
  * @param tableName {string}
+ * @return {WhereContext}
  */
-export function createTableSql(mapper, tableName) {
+export function whereContext(mapper, tableName) {
+    return {properties: mapper.schema?.properties || {}, search: searchIndex(mapper, tableName)};
+}
+
+/**
+ * Encode value compared with column
+ * @param fieldSchema {Object|undefined}
+ * @param value {any}
+ * @return {any}
+ */
+function encodeValue(fieldSchema, value) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    const codec = codecFor(fieldSchema);
+    if (!codec) {
+        // D1 can't bind dates
+        return value instanceof Date ? value.toISOString() : value;
+    }
+    // JSON column may be compared with JSON text given as is
+    if (codec === codecs.object && utils.isString(value)) {
+        return value;
+    }
+    return codec.encode(value);
+}
+
+/**
+ * Rows matched by FTS5 query in `field`, `'*'` searches all searchable columns.
+ * Match expression is collected in `search.matches`, so results can be ranked by it
+ * @param builder {QueryBuilder}
+ * @param field {string}
+ * @param value {string} FTS5 query, e.g. `red shoe*`
+ * @param search {SearchIndex|undefined}
+ * @return {QueryBuilder}
+ */
+function whereSearch(builder, field, value, search) {
+    if (field !== '*' && !search?.columns.some(x => x.name === field)) {
+        throw new Error(`search: ${field} is not searchable`);
+    }
+    if (!search) {
+        throw new Error('search: there are no searchable properties');
+    }
+    if (!utils.isString(value) || !value.trim()) {
+        throw new Error(`search: expected FTS5 query for ${field}`);
+    }
+
+    const match = field === '*' ? value : `{${field}} : (${value})`;
+    search.matches.push(match);
+    return builder.whereRaw('??.rowid in (select rowid from ?? where ?? match ?)', [search.source, search.table, search.table, match]);
+}
+
+/**
+ * Escape GLOB wildcards, so value is matched literally
+ * @param value {string}
+ * @return {string}
+ */
+function escapeGlob(value) {
+    return String(value).replace(/[*?[]/g, x => `[${x}]`);
+}
+
+/**
+ * Convert LIKE pattern (`%` and `_` wildcards) to GLOB pattern
+ * @param pattern {string}
+ * @return {string}
+ */
+function likeToGlob(pattern) {
+    return escapeGlob(pattern).replace(/[%_]/g, x => x === '%' ? '*' : '?');
+}
+
+/**
+ * IN \ NOT IN condition. Long lists (e.g. foreign keys while loading relations) are passed as a single
+ * JSON parameter, otherwise they will exceed D1 bound parameters limit
+ * @param builder {QueryBuilder}
+ * @param field {string}
+ * @param values {any[]}
+ * @param op {'in' | 'not in'}
+ * @return {QueryBuilder}
+ */
+function whereIn(builder, field, values, op) {
+    if (values.length <= MAX_BOUND_PARAMETERS / 2) {
+        return op === 'in' ? builder.whereIn(field, values) : builder.whereNotIn(field, values);
+    }
+
+    return builder.whereRaw(`?? ${op} (select value from json_each(?))`, [field, JSON.stringify(values)]);
+}
+
+/**
+ * Add parent relations for nested ones, so `post.comment` loads `post` first
+ * @param relations {Array<string|Object>} `opts.with`
+ * @return {Array<string|Object>}
+ */
+export function expandWith(relations = []) {
+    const result = [];
+
+    for (const relation of relations) {
+        if (!utils.isString(relation)) {
+            result.push(relation);
+            continue;
+        }
+
+        const parts = relation.split('.');
+        for (let i = 1; i <= parts.length; i++) {
+            const path = parts.slice(0, i).join('.');
+            if (!result.includes(path)) {
+                result.push(path);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Type of schema property, `['object', 'null']` is treated as `object`
+ * @param fieldSchema {Object}
+ * @return {string|undefined}
+ */
+function propertyType(fieldSchema) {
+    const type = fieldSchema?.type;
+    return utils.isArray(type) ? type.find(x => x !== 'null') : type;
+}
+
+/**
+ * Converts values between JS and D1 column representation, by schema property type
+ */
+const codecs = {
+    object: {
+        encode: value => JSON.stringify(value),
+        decode: value => {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        },
+    },
+    boolean: {
+        // SQLite has no boolean type, stored as 0/1
+        encode: value => typeof value === 'boolean' ? Number(value) : value,
+        decode: value => typeof value === 'number' ? value !== 0 : value,
+    },
+    number: {
+        encode: value => value,
+        decode: value => typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value,
+    },
+    // `format: 'date-time'` with `type: 'string'`, stored as ISO string
+    isoDate: {
+        encode: value => {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? value : date.toISOString();
+        },
+        decode: value => typeof value === 'number' ? new Date(value).toISOString() : value,
+    },
+    // `format: 'date-time'` with `type: 'integer'` or `type: 'number'`, stored as epoch millis
+    epochDate: {
+        encode: value => {
+            const time = new Date(value).getTime();
+            return isNaN(time) ? value : time;
+        },
+        decode: value => {
+            if (typeof value !== 'string') {
+                return value;
+            }
+            const time = Date.parse(value);
+            return isNaN(time) ? value : time;
+        },
+    },
+};
+codecs.array = codecs.object;
+codecs.integer = codecs.number;
+
+/**
+ * Codec for schema property
+ * @param fieldSchema {Object}
+ * @return {{encode: (value: any) => any, decode: (value: any) => any}|undefined}
+ */
+function codecFor(fieldSchema) {
+    const type = propertyType(fieldSchema);
+
+    if (fieldSchema?.format === 'date-time') {
+        return type === 'integer' || type === 'number' ? codecs.epochDate : codecs.isoDate;
+    }
+
+    return codecs[type];
+}
+
+/**
+ * Convert record to the form it's stored in D1
+ * @param mapper {Mapper}
+ * @param props {Object}
+ * @return {Object} copy of props
+ */
+export function encodeRecord(mapper, props) {
+    const properties = mapper.schema?.properties || {};
+    const result = {...props};
+
+    for (const [field, value] of Object.entries(result)) {
+        const codec = codecFor(properties[field]);
+        if (codec && value !== null && value !== undefined) {
+            result[field] = codec.encode(value);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Convert D1 row back to record matching mapper schema
+ * @param mapper {Mapper}
+ * @param row {Object}
+ * @param fields {string[]|undefined} columns to decode, all by default
+ * @return {Object}
+ */
+export function decodeRecord(mapper, row, fields) {
+    if (!row) {
+        return row;
+    }
+
+    const properties = mapper.schema?.properties || {};
+
+    for (const [field, value] of Object.entries(row)) {
+        if (fields && !fields.includes(field)) {
+            continue;
+        }
+        const codec = codecFor(properties[field]);
+        if (codec && value !== null && value !== undefined) {
+            row[field] = codec.decode(value);
+        }
+    }
+
+    return row;
+}
+
+/**
+ * Column of soft-delete timestamp, from mapper `softDelete` option (`true` means `deleted_at`)
+ * @param mapper {Mapper}
+ * @return {string|undefined}
+ */
+export function softDeleteColumn(mapper) {
+    if (!mapper.softDelete) {
+        return undefined;
+    }
+    return utils.isString(mapper.softDelete) ? mapper.softDelete : 'deleted_at';
+}
+
+/**
+ * Timestamp columns from mapper `timestamps` option.
+ * `true` means `created_at` \ `updated_at` stored as ISO strings, a column can be disabled with `false`
+ * @param mapper {Mapper}
+ * @return {{createdAt?: string, updatedAt?: string, format: 'iso'|'epoch'}|undefined}
+ */
+export function timestampColumns(mapper) {
+    if (!mapper.timestamps) {
+        return undefined;
+    }
+
+    const options = mapper.timestamps === true ? {} : mapper.timestamps;
+    const format = options.format || 'iso';
+    if (format !== 'iso' && format !== 'epoch') {
+        throw new Error(`timestamps: unknown format ${format}, expected iso or epoch`);
+    }
+
+    return {
+        createdAt: options.createdAt === false ? undefined : options.createdAt || 'created_at',
+        updatedAt: options.updatedAt === false ? undefined : options.updatedAt || 'updated_at',
+        format,
+    };
+}
+
+/**
+ * Copy of props with managed columns set: both timestamps and initial version on create (unless given),
+ * updated timestamp on update
+ * @param mapper {Mapper}
+ * @param props {Object}
+ * @param op {'create'|'update'}
+ * @return {Object}
+ */
+export function stampRecord(mapper, props, op) {
+    const columns = timestampColumns(mapper);
+    const version = mapper.versionAttribute;
+    const result = {...props};
+
+    if (version && op === 'create' && result[version] == null) {
+        result[version] = 1;
+    }
+
+    if (columns) {
+        const now = columns.format === 'epoch' ? Date.now() : new Date().toISOString();
+        if (op === 'create') {
+            for (const column of [columns.createdAt, columns.updatedAt]) {
+                if (column && result[column] == null) {
+                    result[column] = now;
+                }
+            }
+        } else if (columns.updatedAt) {
+            result[columns.updatedAt] = now;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Whether table of mapper has the column. Mappers without schema accept any column
+ * @param mapper {Mapper}
+ * @param field {string}
+ * @return {boolean}
+ */
+function hasColumn(mapper, field) {
+    const properties = mapper.schema?.properties;
+    const timestamps = timestampColumns(mapper);
+    return !properties
+        || !!properties[field]
+        || field === mapper.idAttribute
+        || field === softDeleteColumn(mapper)
+        || field === mapper.versionAttribute
+        || (!!timestamps && (field === timestamps.createdAt || field === timestamps.updatedAt));
+}
+
+/**
+ * Columns to select for `opts.fields` \ `query.select`, all columns when not limited.
+ * idAttribute is always selected, except for DISTINCT selection
+ * @param mapper {Mapper}
+ * @param fields {string|string[]|undefined}
+ * @param distinct {boolean|undefined}
+ * @return {string[]}
+ */
+export function selectColumns(mapper, fields, distinct) {
+    fields = utils.isString(fields) ? [fields] : fields;
+    if (!fields?.length) {
+        if (distinct) {
+            throw new Error('distinct: fields to select are required');
+        }
+        return ['*'];
+    }
+
+    const unknown = fields.filter(x => !hasColumn(mapper, x));
+    if (unknown.length) {
+        throw new Error(`Unknown fields for ${mapper.name}: ${unknown.join(', ')}`);
+    }
+
+    const columns = new Set(fields);
+    if (!distinct) {
+        columns.add(mapper.idAttribute);
+    }
+    return [...columns];
+}
+
+// strftime formats for date buckets of `aggregate` groupBy
+const DATE_BUCKETS = {
+    hour: '%Y-%m-%d %H:00',
+    day: '%Y-%m-%d',
+    month: '%Y-%m',
+    year: '%Y',
+};
+
+const AGGREGATE_FUNCTIONS = {
+    count: field => field === '*' ? 'count(*)' : 'count(??)',
+    countDistinct: () => 'count(distinct ??)',
+    sum: () => 'sum(??)',
+    avg: () => 'avg(??)',
+    min: () => 'min(??)',
+    max: () => 'max(??)',
+};
+
+/**
+ * Select and GROUP BY expressions for `aggregate`
+ * @param mapper {Mapper}
+ * @param spec {AggregateSpec}
+ * @return {{groups: {select: any, group: any}[], aggregates: any[]}} knex raw expressions
+ */
+export function aggregateColumns(mapper, spec) {
+    const properties = mapper.schema?.properties;
+    const check = (field) => {
+        if (!hasColumn(mapper, field)) {
+            throw new Error(`Unknown fields for ${mapper.name}: ${field}`);
+        }
+    };
+
+    const groupBy = utils.isString(spec.groupBy) ? [spec.groupBy] : spec.groupBy || [];
+    const groups = groupBy.flatMap(entry => {
+        if (utils.isString(entry)) {
+            check(entry);
+            return [{select: entry, group: entry}];
+        }
+
+        // {day: {day: 'created_at'}}
+        return Object.entries(entry).map(([alias, bucket]) => {
+            const [[unit, field]] = Object.entries(bucket);
+            if (!DATE_BUCKETS[unit]) {
+                throw new Error(`Unknown date bucket ${unit}, expected one of ${Object.keys(DATE_BUCKETS).join(', ')}`);
+            }
+            check(field);
+
+            // Epoch millis have to be converted before formatting
+            const sql = codecFor(properties?.[field]) === codecs.epochDate
+                ? "strftime(?, ?? / 1000, 'unixepoch')"
+                : 'strftime(?, ??)';
+            return {
+                select: knex.raw(`${sql} as ??`, [DATE_BUCKETS[unit], field, alias]),
+                group: knex.raw(sql, [DATE_BUCKETS[unit], field]),
+            };
+        });
+    });
+
+    // {revenue: {sum: 'amount'}}
+    const aggregates = Object.entries(spec.aggregates || {}).map(([alias, definition]) => {
+        const [[fn, field]] = Object.entries(definition);
+        if (!AGGREGATE_FUNCTIONS[fn]) {
+            throw new Error(`Unknown aggregate ${fn}, expected one of ${Object.keys(AGGREGATE_FUNCTIONS).join(', ')}`);
+        }
+        if (field === '*' && fn !== 'count') {
+            throw new Error(`${fn}: field is required`);
+        }
+        if (field !== '*') {
+            check(field);
+        }
+
+        const sql = AGGREGATE_FUNCTIONS[fn](field);
+        return knex.raw(`${sql} as ??`, field === '*' ? [alias] : [field, alias]);
+    });
+
+    if (!groups.length && !aggregates.length) {
+        throw new Error('aggregate: groupBy or aggregates are required');
+    }
+
+    return {groups, aggregates};
+}
+
+/**
+ * SQLite column type for schema property
+ * @param fieldSchema {Object}
+ * @return {string}
+ */
+function columnType(fieldSchema) {
+    switch (propertyType(fieldSchema)) {
+        case 'string':
+            return 'TEXT';
+        case 'number':
+            return 'REAL';
+        case 'integer':
+            return 'INTEGER';
+        case 'boolean':
+            return 'INTEGER'; // SQLite uses 0/1 for boolean
+        case 'object':
+        case 'array':
+            return 'TEXT'; // Store as JSON
+        default:
+            return 'TEXT';
+    }
+}
+
+/**
+ * Quote identifier of generated DDL, so reserved words (`order`, `group`...) work as table and column names.
+ * Queries are built by knex, which quotes them itself
+ * @param name {string}
+ * @return {string}
+ */
+export function quoteName(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Table columns described by mapper schema
+ * @param mapper {Mapper}
+ * @return {ColumnDefinition[]}
+ */
+export function columnDefinitions(mapper) {
     const columns = [];
     const schema = mapper.schema || {};
     const properties = schema.properties || {};
@@ -109,69 +932,251 @@ export function createTableSql(mapper, tableName) {
     // Add id column if it doesn't exist in schema
     const idAttribute = mapper.idAttribute || '_id';
     if (!properties[idAttribute]) {
-        columns.push(`${idAttribute} INTEGER PRIMARY KEY AUTOINCREMENT`);
+        columns.push({
+            name: idAttribute,
+            type: 'INTEGER',
+            primaryKey: true,
+            sql: `${quoteName(idAttribute)} INTEGER PRIMARY KEY AUTOINCREMENT`,
+        });
     }
 
     // Generate columns from schema
     for (const [fieldName, fieldSchema] of Object.entries(properties)) {
-        if (fieldName === idAttribute && columns.length > 0) {
-            continue; // Already added
-        }
-
-        let columnDef = fieldName;
-
-        // Determine column type
-        if (fieldSchema.type) {
-            switch (fieldSchema.type) {
-                case 'string':
-                    columnDef += ' TEXT';
-                    break;
-                case 'number':
-                case 'integer':
-                    columnDef += ' INTEGER';
-                    break;
-                case 'boolean':
-                    columnDef += ' INTEGER'; // SQLite uses 0/1 for boolean
-                    break;
-                case 'object':
-                case 'array':
-                    columnDef += ' TEXT'; // Store as JSON
-                    break;
-                default:
-                    columnDef += ' TEXT';
-            }
-        } else {
-            columnDef += ' TEXT';
-        }
+        const column = {
+            name: fieldName,
+            type: columnType(fieldSchema),
+            primaryKey: fieldName === idAttribute,
+            notNull: !!(fieldSchema.required || fieldSchema.notNull),
+            unique: !!fieldSchema.unique,
+            default: fieldSchema.default,
+        };
+
+        let columnDef = `${quoteName(fieldName)} ${column.type}`;
 
         // Add constraints
-        if (fieldName === idAttribute) {
+        if (column.primaryKey) {
             columnDef += ' PRIMARY KEY AUTOINCREMENT';
         }
 
-        if (fieldSchema.required || fieldSchema.notNull) {
+        if (column.notNull) {
             columnDef += ' NOT NULL';
         }
 
-        if (fieldSchema.unique) {
+        if (column.unique) {
             columnDef += ' UNIQUE';
         }
 
-        if (fieldSchema.default !== undefined) {
-            if (typeof fieldSchema.default === 'string') {
-                columnDef += ` DEFAULT '${fieldSchema.default}'`;
+        if (column.default !== undefined) {
+            if (typeof column.default === 'string') {
+                columnDef += ` DEFAULT '${column.default.replace(/'/g, "''")}'`;
             } else {
-                columnDef += ` DEFAULT ${fieldSchema.default}`;
+                columnDef += ` DEFAULT ${column.default}`;
             }
         }
 
-        columns.push(columnDef);
+        column.sql = columnDef;
+        columns.push(column);
+    }
+
+    // Timestamps and soft-delete timestamp, unless declared in schema
+    const timestamps = timestampColumns(mapper);
+    for (const name of [timestamps?.createdAt, timestamps?.updatedAt]) {
+        if (name && !properties[name]) {
+            const type = timestamps.format === 'epoch' ? 'INTEGER' : 'TEXT';
+            columns.push({name, type, sql: `${quoteName(name)} ${type}`});
+        }
+    }
+
+    const version = mapper.versionAttribute;
+    if (version && !properties[version]) {
+        // Rows existing before the column was added start at version 1
+        columns.push({name: version, type: 'INTEGER', default: 1, sql: `${quoteName(version)} INTEGER DEFAULT 1`});
+    }
+
+    const deletedAt = softDeleteColumn(mapper);
+    if (deletedAt && !properties[deletedAt]) {
+        columns.push({name: deletedAt, type: 'TEXT', sql: `${quoteName(deletedAt)} TEXT`});
+    }
+
+    return columns;
+}
+
+/**
+ *
+ * @param mapper {Mapper}
+ * @param tableName {string}
+ */
+export function createTableSql(mapper, tableName) {
+    const columns = columnDefinitions(mapper).map(x => x.sql);
+    return `CREATE TABLE IF NOT EXISTS ${quoteName(tableName)} (${columns.join(', ')})`;
+}
+
+/**
+ * Secondary indexes declared with mapper `indexes` option.
+ * Index can be declared as column name, list of columns (composite) or object
+ * `{columns, unique?, where?, name?}` (`where` makes a partial index)
+ * @param mapper {Mapper}
+ * @param tableName {string}
+ * @return {IndexDefinition[]}
+ */
+export function indexDefinitions(mapper, tableName) {
+    return (mapper.indexes || []).map(index => {
+        if (utils.isString(index) || utils.isArray(index)) {
+            index = {columns: index};
+        }
+
+        const columns = utils.isArray(index.columns) ? index.columns : [index.columns];
+        if (!columns.length || columns.some(x => !x)) {
+            throw new Error(`Index on ${tableName} must have columns`);
+        }
+
+        const name = index.name || `${tableName}_${columns.join('_')}_${index.unique ? 'unique' : 'idx'}`;
+        let sql = `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${quoteName(name)} ON ${quoteName(tableName)} (${columns.map(quoteName).join(', ')})`;
+        if (index.where) {
+            sql += ` WHERE ${index.where}`;
+        }
+
+        return {name, columns, unique: !!index.unique, where: index.where, sql};
+    });
+}
+
+/**
+ * @typedef {{source: string, table: string, columns: {name: string, weight: number}[], matches: string[]}} SearchIndex
+ */
+
+/**
+ * Full-text index over schema properties marked `searchable` (`true`, or number used as bm25 weight)
+ * @param mapper {Mapper}
+ * @param tableName {string}
+ * @return {SearchIndex|undefined} `undefined` if there are no searchable properties
+ */
+export function searchIndex(mapper, tableName) {
+    const columns = Object.entries(mapper.schema?.properties || {})
+        .filter(([, x]) => x.searchable)
+        .map(([name, x]) => ({name, weight: utils.isNumber(x.searchable) ? x.searchable : 1}));
+    if (!columns.length) {
+        return undefined;
+    }
+    return {source: tableName, table: `${tableName}_fts`, columns, matches: []};
+}
+
+/**
+ * FTS5 external content table for searchable properties, with triggers keeping it in sync with the table.
+ * Rows are linked by rowid (same as INTEGER PRIMARY KEY)
+ * @param mapper {Mapper}
+ * @param tableName {string}
+ * @return {SqlStatement[]} empty if there are no searchable properties
+ */
+export function searchDefinitions(mapper, tableName) {
+    const search = searchIndex(mapper, tableName);
+    if (!search) {
+        return [];
+    }
+
+    const fts = quoteName(search.table);
+    const table = quoteName(tableName);
+    const names = search.columns.map(x => quoteName(x.name)).join(', ');
+    const values = (row) => search.columns.map(x => `${row}.${quoteName(x.name)}`).join(', ');
+    const insert = `INSERT INTO ${fts}(rowid, ${names}) VALUES (new.rowid, ${values('new')});`;
+    const remove = `INSERT INTO ${fts}(${fts}, rowid, ${names}) VALUES ('delete', old.rowid, ${values('old')});`;
+    const trigger = (event) => quoteName(`${search.table}_${event}`);
+
+    return [
+        `CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts5(${names}, content='${tableName.replace(/'/g, "''")}')`,
+        `CREATE TRIGGER IF NOT EXISTS ${trigger('insert')} AFTER INSERT ON ${table} BEGIN ${insert} END`,
+        `CREATE TRIGGER IF NOT EXISTS ${trigger('delete')} AFTER DELETE ON ${table} BEGIN ${remove} END`,
+        `CREATE TRIGGER IF NOT EXISTS ${trigger('update')} AFTER UPDATE OF ${names} ON ${table} BEGIN ${remove} ${insert} END`,
+    ].map(sql => ({sql, params: []}));
+}
+
+/**
+ * Compare mapper schema with live table columns.
+ * Only additive changes get statements, drops and type changes are just reported
+ * @param mapper {Mapper}
+ * @param tableName {string}
+ * @param existing {Array<{name: string, type: string}>} rows of `PRAGMA table_info`
+ * @param existingIndexes {string[]} index names from `PRAGMA index_list`
+ * @param hasSearch {boolean} whether full-text search table exists
+ * @return {MigrationPlan}
+ */
+export function migrationPlan(mapper, tableName, existing, existingIndexes = [], hasSearch = false) {
+    const plan = {
+        table: tableName,
+        create: false,
+        add: [],
+        drop: [],
+        retype: [],
+        manual: [],
+        indexes: [],
+        search: false,
+        statements: []
+    };
+    const indexes = indexDefinitions(mapper, tableName);
+    const search = searchDefinitions(mapper, tableName);
+
+    if (!existing.length) {
+        plan.create = true;
+        plan.indexes = indexes.map(x => x.name);
+        plan.search = search.length > 0;
+        plan.statements.push({sql: createTableSql(mapper, tableName), params: []});
+        plan.statements.push(...indexes.map(x => ({sql: x.sql, params: []})));
+        plan.statements.push(...search);
+        return plan;
+    }
+
+    // Indexes are created after new columns, they may use them
+    const addIndexes = () => {
+        for (const index of indexes.filter(x => !existingIndexes.includes(x.name))) {
+            plan.indexes.push(index.name);
+            plan.statements.push({sql: index.sql, params: []});
+        }
+        if (search.length && !hasSearch) {
+            // Index rows stored before search table existed
+            const fts = quoteName(`${tableName}_fts`);
+            plan.search = true;
+            plan.statements.push(...search, {sql: `INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`, params: []});
+        }
+        return plan;
+    };
+
+    // Without schema we don't know which columns are expected
+    if (!mapper.schema?.properties) {
+        return addIndexes();
     }
 
-    // If no schema provided, create a simple table with id
-    if (columns.length === 0) {
-        columns.push(`${idAttribute} INTEGER PRIMARY KEY AUTOINCREMENT`);
+    const wanted = columnDefinitions(mapper);
+    const current = new Map(existing.map(x => [x.name, x]));
+
+    for (const column of wanted) {
+        const live = current.get(column.name);
+
+        if (!live) {
+            // ALTER TABLE ADD COLUMN limitations
+            let reason;
+            if (column.primaryKey) {
+                reason = 'PRIMARY KEY column can not be added';
+            } else if (column.unique) {
+                reason = 'UNIQUE column can not be added';
+            } else if (column.notNull && column.default === undefined) {
+                reason = 'NOT NULL column without DEFAULT can not be added';
+            }
+
+            if (reason) {
+                plan.manual.push({column: column.name, reason});
+            } else {
+                plan.add.push({column: column.name, sql: column.sql});
+                plan.statements.push({sql: `ALTER TABLE ${quoteName(tableName)} ADD COLUMN ${column.sql}`, params: []});
+            }
+        } else if ((live.type || '').toUpperCase() !== column.type) {
+            plan.retype.push({column: column.name, from: live.type, to: column.type});
+        }
     }
 
-    return `CREATE TABLE IF NOT EXISTS ${tableName} (${columns.join(', ')})`;
-}
\ No newline at end of file
+    for (const name of current.keys()) {
+        if (!wanted.some(x => x.name === name)) {
+            plan.drop.push({column: name});
+        }
+    }
+
+    return addIndexes();
+}